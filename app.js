@@ -0,0 +1,144 @@
+const express = require("express");
+const cors = require("cors");
+
+const { getCollections } = require("./lib/db");
+const { createSessions } = require("./lib/sessions");
+const { createApplicationTransitions } = require("./lib/applicationStatus");
+const { createPolicyMetrics } = require("./lib/policyMetrics");
+const { createPolicyVersions } = require("./lib/policyVersions");
+const { createLapseSchedule } = require("./lib/billing");
+const { createAgentOnboarding } = require("./lib/agents");
+const { createAssignmentEngine } = require("./lib/assignment");
+const { createAgentStats } = require("./lib/agentStats");
+const { createCommissions } = require("./lib/commissions");
+const { createAnalytics } = require("./lib/analytics");
+const { createBlogEngagement } = require("./lib/blogEngagement");
+const { createMailer } = require("./lib/mailer");
+const { createNewsletter } = require("./lib/newsletter");
+const { createEventBus } = require("./lib/events");
+const { createNotifications } = require("./lib/notifications");
+const { createRealtime } = require("./lib/realtime");
+const { createAuthMiddleware } = require("./middleware/auth");
+
+const createAuthRouter = require("./routes/auth");
+const createPoliciesRouter = require("./routes/policies");
+const createUsersRouter = require("./routes/users");
+const createAgentsRouter = require("./routes/agents");
+const createApplicationsRouter = require("./routes/applications");
+const createPaymentsRouter = require("./routes/payments");
+const createBillingRouter = require("./routes/billing");
+const createCommissionsRouter = require("./routes/commissions");
+const createBlogsRouter = require("./routes/blogs");
+const createBlogEngagementRouter = require("./routes/blogEngagement");
+const createClaimsRouter = require("./routes/claims");
+const createStatsRouter = require("./routes/stats");
+const createNewsletterRouter = require("./routes/newsletter");
+const createNotificationsRouter = require("./routes/notifications");
+const createRealtimeRouter = require("./routes/realtime");
+
+const defaultConfig = () => ({
+  jwtSecret: process.env.JWT_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+  stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  clientUrl: process.env.CLIENT_URL || "https://life-nest-insurance.web.app",
+  assignmentSlaHours: Number(process.env.ASSIGNMENT_SLA_HOURS) || 48,
+  maxOpenCases: Number(process.env.MAX_OPEN_CASES) || 25,
+  analyticsCacheSeconds: Number(process.env.ANALYTICS_CACHE_SECONDS) || 300,
+  blogViewWindowHours: Number(process.env.BLOG_VIEW_WINDOW_HOURS) || 6,
+  commentRateLimit: { max: 5, windowMinutes: 10 },
+  apiUrl: process.env.API_URL,
+  smtpUrl: process.env.SMTP_URL,
+  mailLogOnly: process.env.MAIL_LOG_ONLY === "true",
+  mailFrom: process.env.MAIL_FROM || "LifeNest <no-reply@lifenest.app>",
+  newsletterSecret: process.env.NEWSLETTER_SECRET,
+  cronSecret: process.env.CRON_SECRET,
+  corsOrigins: [
+    "http://localhost:5173",
+    "http://localhost:5174",
+    "https://life-nest-insurance.web.app",
+  ],
+});
+
+const createApp = ({
+  db,
+  client,
+  auth,
+  stripe,
+  mailTransport,
+  realtimeAdapter,
+  config = {},
+}) => {
+  const ctx = {
+    db,
+    client,
+    mailTransport,
+    realtimeAdapter,
+    auth,
+    stripe,
+    config: { ...defaultConfig(), ...config },
+    collections: getCollections(db),
+  };
+  Object.assign(ctx, createEventBus());
+  Object.assign(
+    ctx,
+    createAuthMiddleware(ctx),
+    createSessions(ctx),
+    createPolicyMetrics(ctx),
+    createPolicyVersions(ctx)
+  );
+  Object.assign(ctx, createApplicationTransitions(ctx));
+  Object.assign(
+    ctx,
+    createAssignmentEngine(ctx),
+    createAgentStats(ctx),
+    createCommissions(ctx),
+    createAnalytics(ctx),
+    createBlogEngagement(ctx),
+    createMailer(ctx)
+  );
+  Object.assign(
+    ctx,
+    createNewsletter(ctx),
+    createNotifications(ctx),
+    createRealtime(ctx)
+  );
+  ctx.lapseSchedule = createLapseSchedule(ctx);
+  Object.assign(ctx, createAgentOnboarding(ctx));
+
+  const app = express();
+  app.set("trust proxy", 1);
+  app.use(cors({ origin: ctx.config.corsOrigins, credentials: true }));
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/webhooks/")) {
+          req.rawBody = buf;
+        }
+      },
+    })
+  );
+
+  app.get("/", (req, res) => {
+    res.send("LifeNest Insurance Server is running!");
+  });
+
+  app.use(createAuthRouter(ctx));
+  app.use(createPoliciesRouter(ctx));
+  app.use(createUsersRouter(ctx));
+  app.use(createAgentsRouter(ctx));
+  app.use(createApplicationsRouter(ctx));
+  app.use(createPaymentsRouter(ctx));
+  app.use(createBillingRouter(ctx));
+  app.use(createCommissionsRouter(ctx));
+  app.use(createBlogsRouter(ctx));
+  app.use(createBlogEngagementRouter(ctx));
+  app.use(createClaimsRouter(ctx));
+  app.use(createStatsRouter(ctx));
+  app.use(createNewsletterRouter(ctx));
+  app.use(createNotificationsRouter(ctx));
+  app.use(createRealtimeRouter(ctx));
+
+  return app;
+};
+
+module.exports = { createApp };
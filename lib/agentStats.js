@@ -0,0 +1,212 @@
+const { normalizeStatus } = require("./applicationStatus");
+
+const DECISIONS = ["approved", "rejected"];
+const TREND_UNITS = ["day", "week", "month"];
+const COLLECTED_PAYMENT_STATUSES = [
+  "success",
+  "partially_refunded",
+  "refunded",
+];
+
+const emptyStats = () => ({
+  assigned: 0,
+  approved: 0,
+  rejected: 0,
+  approvalRate: 0,
+  avgHoursToDecision: null,
+  premiumsCollected: 0,
+  blogsPublished: 0,
+});
+
+const decisionsOf = (application, emails, { from, to }) => {
+  const history = application.statusHistory || [];
+  return history.flatMap((entry, index) => {
+    const decision = normalizeStatus(entry.to);
+    if (
+      !DECISIONS.includes(decision) ||
+      !emails.includes(entry.actor) ||
+      entry.at < from ||
+      entry.at > to
+    ) {
+      return [];
+    }
+    const assignedAt = history
+      .slice(0, index)
+      .reverse()
+      .find((previous) => normalizeStatus(previous.to) === "assigned")?.at;
+    return [
+      {
+        agent: entry.actor,
+        decision,
+        at: entry.at,
+        hours: assignedAt ? (entry.at - assignedAt) / (60 * 60 * 1000) : null,
+      },
+    ];
+  });
+};
+
+const netAmount = {
+  $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+};
+
+const createAgentStats = ({ collections }) => {
+  const premiumsPipeline = (emails, { from, to }, groupId) => [
+    {
+      $match: {
+        status: { $in: COLLECTED_PAYMENT_STATUSES },
+        paid_at: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $lookup: {
+        from: "applications",
+        localField: "applicationId",
+        foreignField: "_id",
+        pipeline: [{ $project: { assignedAgent: 1 } }],
+        as: "application",
+      },
+    },
+    { $unwind: "$application" },
+    { $match: { "application.assignedAgent": { $in: emails } } },
+    { $group: { _id: groupId, amount: { $sum: netAmount } } },
+  ];
+
+  const collectAgentStats = async (emails, range) => {
+    const [assigned, decided, premiums, blogs] = await Promise.all([
+      collections.applications
+        .aggregate([
+          {
+            $match: {
+              assignedAgent: { $in: emails },
+              assignedAt: { $gte: range.from, $lte: range.to },
+            },
+          },
+          { $group: { _id: "$assignedAgent", count: { $sum: 1 } } },
+        ])
+        .toArray(),
+      collections.applications
+        .find(
+          {
+            statusHistory: {
+              $elemMatch: {
+                actor: { $in: emails },
+                at: { $gte: range.from, $lte: range.to },
+              },
+            },
+          },
+          { projection: { statusHistory: 1 } }
+        )
+        .toArray(),
+      collections.payments
+        .aggregate(
+          premiumsPipeline(emails, range, "$application.assignedAgent")
+        )
+        .toArray(),
+      collections.blogs
+        .aggregate([
+          {
+            $match: {
+              authorEmail: { $in: emails },
+              publishDate: { $gte: range.from, $lte: range.to },
+            },
+          },
+          { $group: { _id: "$authorEmail", count: { $sum: 1 } } },
+        ])
+        .toArray(),
+    ]);
+
+    const stats = new Map(emails.map((email) => [email, emptyStats()]));
+    assigned.forEach(({ _id, count }) => {
+      stats.get(_id).assigned = count;
+    });
+    premiums.forEach(({ _id, amount }) => {
+      stats.get(_id).premiumsCollected = Math.round(amount * 100) / 100;
+    });
+    blogs.forEach(({ _id, count }) => {
+      stats.get(_id).blogsPublished = count;
+    });
+
+    const hours = new Map();
+    decided
+      .flatMap((application) => decisionsOf(application, emails, range))
+      .forEach(({ agent, decision, hours: elapsed }) => {
+        stats.get(agent)[decision] += 1;
+        if (elapsed !== null) {
+          hours.set(agent, [...(hours.get(agent) || []), elapsed]);
+        }
+      });
+    stats.forEach((agentStats, email) => {
+      const decisions = agentStats.approved + agentStats.rejected;
+      agentStats.approvalRate = decisions
+        ? Math.round((agentStats.approved / decisions) * 10000) / 10000
+        : 0;
+      const elapsed = hours.get(email);
+      if (elapsed) {
+        agentStats.avgHoursToDecision =
+          Math.round(
+            (elapsed.reduce((sum, value) => sum + value, 0) / elapsed.length) *
+              10
+          ) / 10;
+      }
+    });
+    return stats;
+  };
+
+  const agentTrend = async (email, range, unit) => {
+    const bucket = (field) => ({
+      $dateTrunc: { date: field, unit, startOfWeek: "monday" },
+    });
+    const [decided, premiums] = await Promise.all([
+      collections.applications
+        .aggregate([
+          { $match: { "statusHistory.actor": email } },
+          { $unwind: "$statusHistory" },
+          {
+            $match: {
+              "statusHistory.actor": email,
+              "statusHistory.to": { $in: DECISIONS },
+              "statusHistory.at": { $gte: range.from, $lte: range.to },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                period: bucket("$statusHistory.at"),
+                decision: "$statusHistory.to",
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+      collections.payments
+        .aggregate(premiumsPipeline([email], range, bucket("$paid_at")))
+        .toArray(),
+    ]);
+
+    const periods = new Map();
+    const periodFor = (date) => {
+      const key = date.toISOString();
+      if (!periods.has(key)) {
+        periods.set(key, {
+          period: date,
+          approved: 0,
+          rejected: 0,
+          premiumsCollected: 0,
+        });
+      }
+      return periods.get(key);
+    };
+    decided.forEach(({ _id, count }) => {
+      periodFor(_id.period)[_id.decision] += count;
+    });
+    premiums.forEach(({ _id, amount }) => {
+      periodFor(_id).premiumsCollected = Math.round(amount * 100) / 100;
+    });
+    return [...periods.values()].sort((a, b) => a.period - b.period);
+  };
+
+  return { collectAgentStats, agentTrend };
+};
+
+module.exports = { TREND_UNITS, createAgentStats };
@@ -0,0 +1,152 @@
+const AGENT_TRANSITIONS = {
+  pending: ["approved", "disapproved"],
+  approved: ["suspended", "demoted"],
+  suspended: ["approved", "demoted"],
+  disapproved: ["approved"],
+  demoted: ["approved"],
+};
+const REASON_REQUIRED = ["disapproved", "suspended", "demoted"];
+const REVOKING_STATUSES = ["suspended", "demoted"];
+const RELEASED_APPLICATION_STATUSES = ["assigned", "under_review"];
+
+const createAgentOnboarding = ({
+  client,
+  collections,
+  syncRoleClaim,
+  revokeSessions,
+  publish,
+}) => {
+  const changeAgentStatus = async (agent, status, { actor, reason }) => {
+    const from = agent.status || "pending";
+    if (!AGENT_TRANSITIONS[from]?.includes(status)) {
+      return {
+        code: 409,
+        error: `Cannot move agent from ${from} to ${status}`,
+      };
+    }
+    if (REASON_REQUIRED.includes(status) && !reason?.trim()) {
+      return { code: 400, error: `A reason is required to mark ${status}` };
+    }
+
+    const now = new Date();
+    const set = {
+      status,
+      statusReason: reason?.trim() || null,
+      statusChangedBy: actor,
+      statusChangedAt: now,
+    };
+    if (status === "approved") {
+      set.approvedBy = actor;
+      set.approvedAt = now;
+    }
+    const role =
+      status === "approved"
+        ? "agent"
+        : REVOKING_STATUSES.includes(status)
+        ? "user"
+        : null;
+
+    let releasedCount = 0;
+    let roleChanged = false;
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        releasedCount = 0;
+        roleChanged = false;
+        const result = await collections.agents.updateOne(
+          { _id: agent._id, status: agent.status },
+          {
+            $set: set,
+            $push: {
+              statusHistory: {
+                from,
+                to: status,
+                actor,
+                reason: set.statusReason,
+                at: now,
+              },
+            },
+          },
+          { session }
+        );
+        if (result.matchedCount === 0) {
+          throw Object.assign(new Error("Agent status changed"), {
+            httpStatus: 409,
+          });
+        }
+
+        if (role) {
+          const userResult = await collections.users.updateOne(
+            { email: agent.email, role: { $ne: "admin" } },
+            { $set: { role } },
+            { session }
+          );
+          roleChanged = userResult.matchedCount > 0;
+          if (
+            status === "approved" &&
+            !roleChanged &&
+            !(await collections.users.findOne(
+              { email: agent.email },
+              { session }
+            ))
+          ) {
+            throw Object.assign(
+              new Error("Applicant has no user account to promote"),
+              { httpStatus: 404 }
+            );
+          }
+        }
+
+        if (REVOKING_STATUSES.includes(status)) {
+          for (const applicationStatus of RELEASED_APPLICATION_STATUSES) {
+            const released = await collections.applications.updateMany(
+              { assignedAgent: agent.email, status: applicationStatus },
+              {
+                $set: { status: "pending", assignedAgent: null },
+                $push: {
+                  statusHistory: {
+                    from: applicationStatus,
+                    to: "pending",
+                    actor,
+                    role: "admin",
+                    note: `Agent ${status}`,
+                    at: now,
+                  },
+                },
+              },
+              { session }
+            );
+            releasedCount += released.modifiedCount;
+          }
+        }
+      });
+    } catch (err) {
+      if (err.httpStatus) {
+        return { code: err.httpStatus, error: err.message };
+      }
+      throw err;
+    } finally {
+      await session.endSession();
+    }
+
+    // Admins keep their role, so their claims and sessions are left alone.
+    if (roleChanged) {
+      await syncRoleClaim(agent.email, role);
+      await revokeSessions({ email: agent.email });
+    }
+    await publish("agent.status_changed", {
+      agent,
+      status,
+      reason: set.statusReason,
+    });
+    return { status, releasedCount };
+  };
+
+  return { changeAgentStatus };
+};
+
+module.exports = {
+  AGENT_TRANSITIONS,
+  REASON_REQUIRED,
+  createAgentOnboarding,
+};
@@ -0,0 +1,319 @@
+const { DAY_MS } = require("./billing");
+
+const GRANULARITIES = ["day", "week", "month"];
+const COLLECTED_PAYMENT_STATUSES = [
+  "success",
+  "partially_refunded",
+  "refunded",
+];
+const CHURN_STATUSES = ["lapsed", "cancelled"];
+const MONTH_MS = 30 * DAY_MS;
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const asDate = (field) => ({
+  $convert: { input: field, to: "date", onError: null, onNull: null },
+});
+
+const bucket = (field, unit) => ({
+  $dateTrunc: { date: field, unit, startOfWeek: "monday" },
+});
+
+const netAmount = {
+  $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+};
+
+const createAnalytics = ({ collections, config }) => {
+  const cached = async (key, compute, { refresh = false } = {}) => {
+    const now = new Date();
+    if (!refresh) {
+      const hit = await collections.analyticsCache.findOne({
+        _id: key,
+        expiresAt: { $gt: now },
+      });
+      if (hit) return { ...hit.value, cachedAt: hit.computedAt };
+    }
+
+    const value = await compute();
+    await collections.analyticsCache.replaceOne(
+      { _id: key },
+      {
+        value,
+        computedAt: now,
+        expiresAt: new Date(
+          now.getTime() + config.analyticsCacheSeconds * 1000
+        ),
+      },
+      { upsert: true }
+    );
+    return { ...value, cachedAt: now };
+  };
+
+  const paymentsInRange = ({ from, to }) => [
+    {
+      $match: {
+        status: { $in: COLLECTED_PAYMENT_STATUSES },
+        paid_at: { $gte: from, $lte: to },
+      },
+    },
+  ];
+
+  const timeSeries = async (range, unit) => {
+    const [users, applications, decisions, revenue] = await Promise.all([
+      collections.users
+        .aggregate([
+          { $project: { createdAt: asDate("$created_at") } },
+          { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+          { $group: { _id: bucket("$createdAt", unit), count: { $sum: 1 } } },
+        ])
+        .toArray(),
+      collections.applications
+        .aggregate([
+          {
+            $match: { applicationDate: { $gte: range.from, $lte: range.to } },
+          },
+          {
+            $group: {
+              _id: bucket("$applicationDate", unit),
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+      collections.applications
+        .aggregate([
+          {
+            $match: {
+              "statusHistory.at": { $gte: range.from, $lte: range.to },
+            },
+          },
+          { $unwind: "$statusHistory" },
+          {
+            $match: {
+              "statusHistory.to": { $in: ["approved", "rejected"] },
+              "statusHistory.at": { $gte: range.from, $lte: range.to },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                period: bucket("$statusHistory.at", unit),
+                decision: "$statusHistory.to",
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+      collections.payments
+        .aggregate([
+          ...paymentsInRange(range),
+          {
+            $group: {
+              _id: bucket("$paid_at", unit),
+              amount: { $sum: netAmount },
+            },
+          },
+        ])
+        .toArray(),
+    ]);
+
+    const periods = new Map();
+    const periodFor = (date) => {
+      const key = date.toISOString();
+      if (!periods.has(key)) {
+        periods.set(key, {
+          period: date,
+          newUsers: 0,
+          applications: 0,
+          approved: 0,
+          rejected: 0,
+          approvalRate: null,
+          revenue: 0,
+        });
+      }
+      return periods.get(key);
+    };
+    users.forEach(({ _id, count }) => {
+      periodFor(_id).newUsers = count;
+    });
+    applications.forEach(({ _id, count }) => {
+      periodFor(_id).applications = count;
+    });
+    decisions.forEach(({ _id, count }) => {
+      periodFor(_id.period)[_id.decision] = count;
+    });
+    revenue.forEach(({ _id, amount }) => {
+      periodFor(_id).revenue = round(amount);
+    });
+    periods.forEach((period) => {
+      const decided = period.approved + period.rejected;
+      if (decided) period.approvalRate = round(period.approved / decided, 4);
+    });
+
+    return [...periods.values()].sort((a, b) => a.period - b.period);
+  };
+
+  const revenueBreakdown = async (range) => {
+    const [result] = await collections.payments
+      .aggregate([
+        ...paymentsInRange(range),
+        {
+          $lookup: {
+            from: "applications",
+            localField: "applicationId",
+            foreignField: "_id",
+            pipeline: [{ $project: { policyId: 1, assignedAgent: 1 } }],
+            as: "application",
+          },
+        },
+        {
+          $unwind: { path: "$application", preserveNullAndEmptyArrays: true },
+        },
+        {
+          $lookup: {
+            from: "policies",
+            localField: "application.policyId",
+            foreignField: "_id",
+            pipeline: [{ $project: { category: 1 } }],
+            as: "policy",
+          },
+        },
+        { $unwind: { path: "$policy", preserveNullAndEmptyArrays: true } },
+        {
+          $facet: {
+            total: [{ $group: { _id: null, amount: { $sum: netAmount } } }],
+            byCategory: [
+              {
+                $group: {
+                  _id: { $ifNull: ["$policy.category", "Uncategorized"] },
+                  amount: { $sum: netAmount },
+                  payments: { $sum: 1 },
+                },
+              },
+              { $sort: { amount: -1 } },
+            ],
+            byAgent: [
+              {
+                $group: {
+                  _id: "$application.assignedAgent",
+                  amount: { $sum: netAmount },
+                  payments: { $sum: 1 },
+                },
+              },
+              { $sort: { amount: -1 } },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    const rows = (groups, key) =>
+      groups.map(({ _id, amount, payments }) => ({
+        [key]: _id ?? null,
+        revenue: round(amount),
+        payments,
+      }));
+    return {
+      total: round(result.total[0]?.amount || 0),
+      byCategory: rows(result.byCategory, "category"),
+      byAgent: rows(result.byAgent, "agentEmail"),
+    };
+  };
+
+  const funnel = async (range) => {
+    const inRange = { $gte: range.from, $lte: range.to };
+    const [[views], quotes, applications, approved, purchases] =
+      await Promise.all([
+        collections.policyMetrics
+          .aggregate([
+            { $match: { day: inRange } },
+            { $group: { _id: null, count: { $sum: "$views" } } },
+          ])
+          .toArray(),
+        collections.quotes.countDocuments({ createdAt: inRange }),
+        collections.applications.countDocuments({ applicationDate: inRange }),
+        collections.applications.countDocuments({
+          applicationDate: inRange,
+          "statusHistory.to": "approved",
+        }),
+        collections.purchases.countDocuments({ purchasedAt: inRange }),
+      ]);
+
+    const steps = [
+      { step: "policy_views", count: views?.count || 0 },
+      { step: "quotes", count: quotes },
+      { step: "applications", count: applications },
+      { step: "approved", count: approved },
+      { step: "paid", count: purchases },
+    ];
+    return steps.map((step, index) => ({
+      ...step,
+      conversionFromPrevious:
+        index === 0 || !steps[index - 1].count
+          ? null
+          : round(step.count / steps[index - 1].count, 4),
+    }));
+  };
+
+  const cohortRetention = async (range, { maxMonths = 12 } = {}) => {
+    const purchases = await collections.purchases
+      .aggregate([
+        { $match: { purchasedAt: { $gte: range.from, $lte: range.to } } },
+        {
+          $lookup: {
+            from: "applications",
+            localField: "applicationId",
+            foreignField: "_id",
+            pipeline: [{ $project: { statusHistory: 1 } }],
+            as: "application",
+          },
+        },
+        {
+          $unwind: { path: "$application", preserveNullAndEmptyArrays: true },
+        },
+      ])
+      .toArray();
+
+    const now = new Date();
+    const cohorts = new Map();
+    purchases.forEach(({ purchasedAt, application }) => {
+      const key = purchasedAt.toISOString().slice(0, 7);
+      if (!cohorts.has(key)) cohorts.set(key, []);
+      const churnedAt = (application?.statusHistory || []).find((entry) =>
+        CHURN_STATUSES.includes(entry.to)
+      )?.at;
+      cohorts.get(key).push({ purchasedAt, churnedAt });
+    });
+
+    return [...cohorts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([cohort, members]) => {
+        const cohortStart = new Date(`${cohort}-01T00:00:00Z`);
+        const months = Math.min(
+          Math.floor((now - cohortStart) / MONTH_MS),
+          maxMonths
+        );
+        const retention = [];
+        for (let offset = 0; offset <= months; offset += 1) {
+          const checkpoint = new Date(
+            cohortStart.getTime() + offset * MONTH_MS
+          );
+          const retained = members.filter(
+            ({ churnedAt }) => !churnedAt || churnedAt > checkpoint
+          ).length;
+          retention.push({
+            month: offset,
+            retained,
+            rate: round(retained / members.length, 4),
+          });
+        }
+        return { cohort, size: members.length, retention };
+      });
+  };
+
+  return { cached, timeSeries, revenueBreakdown, funnel, cohortRetention };
+};
+
+module.exports = { GRANULARITIES, createAnalytics };
@@ -0,0 +1,128 @@
+const APPLICATION_TRANSITIONS = {
+  pending: {
+    assigned: ["admin", "system"],
+    rejected: ["admin"],
+    cancelled: ["admin"],
+  },
+  assigned: {
+    pending: ["admin"],
+    assigned: ["admin", "system"],
+    under_review: ["agent"],
+    rejected: ["admin"],
+    cancelled: ["admin"],
+  },
+  under_review: {
+    pending: ["admin"],
+    approved: ["agent"],
+    rejected: ["agent", "admin"],
+    cancelled: ["admin"],
+  },
+  approved: { paid: ["system"], cancelled: ["admin"] },
+  rejected: {},
+  paid: {
+    active: ["system", "admin"],
+    lapsed: ["system"],
+    cancelled: ["admin"],
+  },
+  active: { lapsed: ["system"], cancelled: ["admin"] },
+  lapsed: { cancelled: ["admin"] },
+  cancelled: {},
+};
+const SYSTEM_ACTOR = { email: "system", role: "system" };
+
+const normalizeStatus = (status) =>
+  String(status || "pending")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+const CERTIFIABLE_STATUSES = ["paid", "active"];
+
+const TRANSITION_EVENTS = {
+  assigned: "application.assigned",
+  rejected: "application.rejected",
+};
+
+const createApplicationTransitions = ({
+  collections,
+  recordPurchase,
+  publish,
+}) => {
+  const transitionApplication = async (
+    application,
+    to,
+    actor,
+    { note, set = {} } = {}
+  ) => {
+    const from = normalizeStatus(application.status);
+    const allowedRoles = APPLICATION_TRANSITIONS[from]?.[to];
+    if (!allowedRoles) {
+      return {
+        code: 409,
+        error: `Cannot move application from ${from} to ${to}`,
+      };
+    }
+    if (!allowedRoles.includes(actor.role)) {
+      return {
+        code: 403,
+        error: `Only ${allowedRoles.join(
+          " or "
+        )} can move an application from ${from} to ${to}`,
+      };
+    }
+
+    const entry = {
+      from,
+      to,
+      actor: actor.email,
+      role: actor.role,
+      note: note || null,
+      at: new Date(),
+    };
+    const result = await collections.applications.updateOne(
+      { _id: application._id, status: application.status },
+      { $set: { ...set, status: to }, $push: { statusHistory: entry } }
+    );
+    if (result.matchedCount === 0) {
+      return { code: 409, error: "Application status changed, please retry" };
+    }
+    if (to === "paid") {
+      await recordPurchase({ ...application, ...set }, entry.at);
+    }
+    await publish(TRANSITION_EVENTS[to] || "application.status_changed", {
+      application: { ...application, ...set, status: to },
+      from,
+      to,
+      note: entry.note,
+    });
+    return { entry };
+  };
+
+  const advanceApplication = async (application, path, actor, options) => {
+    let current = application;
+    for (const to of path) {
+      if (normalizeStatus(current.status) === to) continue;
+      const { error } = await transitionApplication(
+        current,
+        to,
+        actor,
+        options
+      );
+      if (error) {
+        console.warn(`Application ${application._id}: ${error}`);
+        return;
+      }
+      current = { ...current, status: to };
+    }
+  };
+
+  return { transitionApplication, advanceApplication };
+};
+
+module.exports = {
+  APPLICATION_TRANSITIONS,
+  SYSTEM_ACTOR,
+  CERTIFIABLE_STATUSES,
+  normalizeStatus,
+  createApplicationTransitions,
+};
@@ -0,0 +1,120 @@
+const { SYSTEM_ACTOR } = require("./applicationStatus");
+
+const OPEN_CASE_STATUSES = ["assigned", "under_review"];
+const HOUR_MS = 60 * 60 * 1000;
+
+const sameDistrict = (a, b) =>
+  Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const createAssignmentEngine = ({
+  collections,
+  config,
+  transitionApplication,
+}) => {
+  const openCaseloads = async () => {
+    const counts = await collections.applications
+      .aggregate([
+        {
+          $match: {
+            status: { $in: OPEN_CASE_STATUSES },
+            assignedAgent: { $ne: null },
+          },
+        },
+        { $group: { _id: "$assignedAgent", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+  };
+
+  const rankAgents = async (application, { exclude = [] } = {}) => {
+    const [agents, caseloads] = await Promise.all([
+      collections.agents
+        .find({
+          status: "approved",
+          available: { $ne: false },
+          email: { $nin: exclude },
+        })
+        .toArray(),
+      openCaseloads(),
+    ]);
+
+    return agents
+      .map((agent) => ({
+        email: agent.email,
+        name: agent.name,
+        district: agent.district,
+        sameDistrict: sameDistrict(agent.district, application.district),
+        openCases: caseloads.get(agent.email) || 0,
+        lastAssignedAt: agent.lastAssignedAt || new Date(0),
+      }))
+      .filter((agent) => agent.openCases < config.maxOpenCases)
+      .sort(
+        (a, b) =>
+          b.sameDistrict - a.sameDistrict ||
+          a.openCases - b.openCases ||
+          a.lastAssignedAt - b.lastAssignedAt
+      );
+  };
+
+  const assignApplication = async (application, agentEmail, actor, options) => {
+    const result = await transitionApplication(application, "assigned", actor, {
+      ...options,
+      set: {
+        assignedAgent: agentEmail,
+        assignedAt: new Date(),
+        assignmentMethod: actor.role === "system" ? "auto" : "manual",
+      },
+    });
+    if (!result.error) {
+      await collections.agents.updateOne(
+        { email: agentEmail },
+        { $set: { lastAssignedAt: new Date() } }
+      );
+    }
+    return result;
+  };
+
+  const autoAssign = async (application, { exclude = [], note } = {}) => {
+    const [agent] = await rankAgents(application, { exclude });
+    if (!agent) {
+      return { code: 409, error: "No available agent to assign" };
+    }
+    const result = await assignApplication(
+      application,
+      agent.email,
+      SYSTEM_ACTOR,
+      { note: note || "Auto-assigned" }
+    );
+    return result.error ? result : { ...result, agent };
+  };
+
+  const rerouteStale = async () => {
+    const stale = await collections.applications
+      .find({
+        status: "assigned",
+        assignmentMethod: { $ne: "manual" },
+        assignedAt: {
+          $lt: new Date(Date.now() - config.assignmentSlaHours * HOUR_MS),
+        },
+      })
+      .toArray();
+
+    let reroutedCount = 0;
+    for (const application of stale) {
+      const { error } = await autoAssign(application, {
+        exclude: [application.assignedAgent],
+        note: `No action within ${config.assignmentSlaHours}h SLA`,
+      });
+      if (error) {
+        console.warn(`Application ${application._id}: ${error}`);
+      } else {
+        reroutedCount += 1;
+      }
+    }
+    return { staleCount: stale.length, reroutedCount };
+  };
+
+  return { rankAgents, assignApplication, autoAssign, rerouteStale };
+};
+
+module.exports = { OPEN_CASE_STATUSES, createAssignmentEngine };
@@ -0,0 +1,37 @@
+const { SYSTEM_ACTOR } = require("./applicationStatus");
+
+const DEFAULT_GRACE_PERIOD_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createLapseSchedule =
+  ({ collections, stripe, transitionApplication }) =>
+  async (schedule, reason) => {
+    if (schedule.stripeSubscriptionId) {
+      try {
+        await stripe.subscriptions.cancel(schedule.stripeSubscriptionId);
+      } catch (err) {
+        if (err.code !== "resource_missing") throw err;
+      }
+    }
+
+    await collections.billingSchedules.updateOne(
+      { _id: schedule._id },
+      {
+        $set: { status: "lapsed", lapsedAt: new Date(), lapseReason: reason },
+      }
+    );
+    const application = await collections.applications.findOne({
+      _id: schedule.applicationId,
+    });
+    const { error } = await transitionApplication(
+      application,
+      "lapsed",
+      SYSTEM_ACTOR,
+      { note: reason, set: { paymentStatus: "lapsed" } }
+    );
+    if (error) {
+      console.warn(`Application ${application._id}: ${error}`);
+    }
+  };
+
+module.exports = { DEFAULT_GRACE_PERIOD_DAYS, DAY_MS, createLapseSchedule };
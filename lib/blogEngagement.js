@@ -0,0 +1,85 @@
+const { startOfDay } = require("./policyMetrics");
+
+const MAX_COMMENT_DEPTH = 3;
+const COMMENT_STATUSES = ["pending", "approved", "rejected", "deleted"];
+
+const buildCommentTree = (comments) => {
+  const byId = new Map(
+    comments.map((comment) => [
+      comment._id.toString(),
+      { ...comment, replies: [] },
+    ])
+  );
+  const roots = [];
+  byId.forEach((comment) => {
+    const parent = comment.parentId && byId.get(comment.parentId.toString());
+    if (parent) parent.replies.push(comment);
+    else if (!comment.parentId) roots.push(comment);
+  });
+  return roots;
+};
+
+const createBlogEngagement = ({ collections, config, hashToken }) => {
+  // Keyed only on what the server observes; a client-chosen id could be
+  // rotated to count the same reader again.
+  const visitorKey = (req) =>
+    hashToken(`ip:${req.ip}:${req.get("user-agent") || ""}`);
+
+  const recordBlogView = async (blog, visitor) => {
+    const now = new Date();
+    try {
+      await collections.blogViews.insertOne({
+        blogId: blog._id,
+        visitor,
+        viewedAt: now,
+        expiresAt: new Date(
+          now.getTime() + config.blogViewWindowHours * 60 * 60 * 1000
+        ),
+      });
+    } catch (err) {
+      if (err.code === 11000) return false;
+      throw err;
+    }
+
+    await Promise.all([
+      collections.blogs.updateOne(
+        { _id: blog._id },
+        { $inc: { viewCount: 1 } }
+      ),
+      collections.blogViewDays.updateOne(
+        { blogId: blog._id, day: startOfDay(now) },
+        { $inc: { views: 1 } },
+        { upsert: true }
+      ),
+    ]);
+    return true;
+  };
+
+  const checkCommentRate = async (email, body) => {
+    const { max, windowMinutes } = config.commentRateLimit;
+    const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+    const recent = await collections.blogComments
+      .find({ authorEmail: email, createdAt: { $gte: since } })
+      .project({ body: 1 })
+      .toArray();
+    if (recent.length >= max) {
+      return {
+        code: 429,
+        error: `You can post at most ${max} comments every ${windowMinutes} minutes`,
+      };
+    }
+    if (recent.some((comment) => comment.body === body)) {
+      return { code: 409, error: "Duplicate comment" };
+    }
+    return {};
+  };
+
+  return { visitorKey, recordBlogView, checkCommentRate };
+};
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  COMMENT_STATUSES,
+  buildCommentTree,
+  createBlogEngagement,
+};
@@ -0,0 +1,48 @@
+const BLOG_TRANSITIONS = {
+  draft: { submitted: ["author"], archived: ["author", "moderator"] },
+  submitted: {
+    draft: ["author", "moderator"],
+    published: ["moderator"],
+    archived: ["moderator"],
+  },
+  published: { archived: ["author", "moderator"] },
+  archived: { draft: ["author"] },
+};
+const EDITABLE_BLOG_STATUSES = {
+  author: ["draft", "submitted"],
+  moderator: ["draft", "submitted", "published"],
+};
+
+const slugify = (title) =>
+  String(title)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80) || "post";
+
+const uniqueSlug = async (blogs, title, excludeId) => {
+  const base = slugify(title);
+  const taken = await blogs
+    .find(
+      {
+        slug: { $regex: `^${base}(-\\d+)?$` },
+        ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+      },
+      { projection: { slug: 1 } }
+    )
+    .toArray();
+  const used = new Set(taken.map((blog) => blog.slug));
+  if (!used.has(base)) return base;
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+};
+
+module.exports = {
+  BLOG_TRANSITIONS,
+  EDITABLE_BLOG_STATUSES,
+  slugify,
+  uniqueSlug,
+};
@@ -0,0 +1,104 @@
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+const formatMoney = (amount, currency = "usd") =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  }).format(amount);
+
+const buildCertificatePdf = async ({
+  policyNumber,
+  verifyUrl,
+  policy,
+  application,
+  payments,
+}) => {
+  const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 120 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const row = (label, value) => {
+      if (value === undefined || value === null || value === "") return;
+      doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(String(value));
+    };
+    const section = (title) => {
+      doc.moveDown().font("Helvetica-Bold").fontSize(13).text(title);
+      doc.fontSize(11).moveDown(0.3);
+    };
+
+    doc.image(qrCode, doc.page.width - 170, 45, { width: 120 });
+    doc.font("Helvetica-Bold").fontSize(20).text("LifeNest Insurance");
+    doc.fontSize(15).text("Policy Certificate");
+    doc.font("Helvetica").fontSize(11).moveDown(0.5);
+    row("Policy number", policyNumber);
+    row("Issued on", new Date().toDateString());
+    doc.moveDown(2);
+
+    section("Policy");
+    row("Title", policy.title);
+    row("Category", policy.category);
+    row("Coverage", application.quote?.coverageAmount ?? policy.coverageRange);
+    row(
+      "Term",
+      application.quote?.termYears
+        ? `${application.quote.termYears} years`
+        : policy.duration
+    );
+    if (policy.description) {
+      doc.moveDown(0.3).text(policy.description);
+    }
+
+    section("Policy holder");
+    row("Name", application.aname || application.name);
+    row("Email", application.userEmail);
+    row("Address", application.address);
+    row("NID", application.nid);
+    row("Nominee", application.nomineeName);
+    row("Nominee relationship", application.nomineeRelation);
+
+    section("Payments");
+    if (application.premium) {
+      row(
+        "Premium",
+        `${formatMoney(
+          application.premium.installmentAmountInCents / 100,
+          application.premium.currency
+        )} ${application.premium.paymentFrequency}`
+      );
+    }
+    payments.forEach((payment) => {
+      doc.text(
+        `${new Date(payment.paid_at).toDateString()}  ${formatMoney(
+          payment.amount,
+          payment.currency
+        )}  ${payment.transactionId}`
+      );
+    });
+
+    const terms = Array.isArray(policy.terms)
+      ? policy.terms
+      : policy.terms
+      ? [policy.terms]
+      : [];
+    if (terms.length) {
+      section("Terms and conditions");
+      terms.forEach((term, index) => doc.text(`${index + 1}. ${term}`));
+    }
+
+    doc
+      .moveDown(2)
+      .fontSize(9)
+      .fillColor("gray")
+      .text(`Verify this certificate at ${verifyUrl}`);
+    doc.end();
+  });
+};
+
+module.exports = { buildCertificatePdf };
@@ -0,0 +1,29 @@
+const multer = require("multer");
+
+const CLAIM_TRANSITIONS = {
+  submitted: { under_review: ["agent"], rejected: ["admin"] },
+  under_review: { approved: ["admin"], rejected: ["admin"] },
+  approved: {},
+  rejected: {},
+};
+const CLAIM_DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+const claimUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    if (!CLAIM_DOCUMENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error("Documents must be PDF, JPEG or PNG files"));
+    }
+    cb(null, true);
+  },
+});
+
+const receiveClaimDocuments = (req, res, next) => {
+  claimUpload.array("documents", 5)(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+};
+
+module.exports = { CLAIM_TRANSITIONS, receiveClaimDocuments };
@@ -0,0 +1,177 @@
+const { ObjectId } = require("mongodb");
+const { DAY_MS } = require("./billing");
+
+const COMMISSION_TYPES = ["percentage", "flat"];
+const YEAR_MS = 365 * DAY_MS;
+
+// Text starting with a formula character is prefixed with a quote so a
+// spreadsheet shows it instead of evaluating it.
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((line) => line.map(csvCell).join(","))
+    .join("\n");
+
+const createCommissions = ({ client, collections }) => {
+  const commissionRuleFor = async (application) => {
+    const [policy, pinned] = await Promise.all([
+      collections.policies.findOne({ _id: application.policyId }),
+      application.policyVersion
+        ? collections.policyVersions.findOne({
+            policyId: application.policyId,
+            version: application.policyVersion,
+          })
+        : null,
+    ]);
+    return pinned?.snapshot?.commission || policy?.commission || null;
+  };
+
+  const recordCommission = async (payment, application) => {
+    if (payment?.status !== "success" || !application?.assignedAgent) return;
+    const rule = await commissionRuleFor(application);
+    if (!rule) return;
+
+    const purchase = await collections.purchases.findOne({
+      applicationId: application._id,
+    });
+    const startedAt = purchase?.purchasedAt || payment.paid_at;
+    const basisInCents = Math.round(payment.amount * 100);
+
+    let kind = "first_year";
+    let rate = rule.rate || 0;
+    let amountInCents = Math.round((basisInCents * rate) / 100);
+    if (payment.paid_at - startedAt >= YEAR_MS) {
+      kind = "renewal";
+      rate = rule.renewalRate || 0;
+      amountInCents = Math.round((basisInCents * rate) / 100);
+    } else if (rule.type === "flat") {
+      kind = "flat";
+      rate = null;
+      amountInCents = Math.round((rule.flatAmount || 0) * 100);
+    }
+    if (amountInCents <= 0) return;
+
+    try {
+      await collections.commissions.insertOne({
+        agentEmail: application.assignedAgent,
+        applicationId: application._id,
+        policyId: application.policyId,
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        kind,
+        rate,
+        basisInCents,
+        amountInCents,
+        currency: payment.currency || "usd",
+        status: "pending",
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  };
+
+  const reverseCommissions = async (payment) => {
+    const entries = await collections.commissions
+      .find({ paymentId: payment._id })
+      .toArray();
+    const refundedShare = Math.min(
+      (payment.refundedAmount || 0) / payment.amount,
+      1
+    );
+
+    for (const entry of entries.filter((e) => e.kind !== "clawback")) {
+      const clawedBack = entries
+        .filter((e) => e.reversesId?.equals(entry._id))
+        .reduce((sum, e) => sum + e.amountInCents, 0);
+      const target = Math.round(entry.amountInCents * (1 - refundedShare));
+      const delta = target - (entry.amountInCents + clawedBack);
+      if (delta >= 0) continue;
+
+      await collections.commissions.insertOne({
+        agentEmail: entry.agentEmail,
+        applicationId: entry.applicationId,
+        policyId: entry.policyId,
+        paymentId: entry.paymentId,
+        transactionId: entry.transactionId,
+        reversesId: entry._id,
+        kind: "clawback",
+        rate: null,
+        basisInCents: entry.basisInCents,
+        amountInCents: delta,
+        currency: entry.currency,
+        status: "pending",
+        createdAt: new Date(),
+      });
+    }
+  };
+
+  const runPayout = async ({ periodEnd, actor }) => {
+    let payout = null;
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        payout = null;
+        const lines = await collections.commissions
+          .aggregate(
+            [
+              { $match: { status: "pending", createdAt: { $lte: periodEnd } } },
+              {
+                $group: {
+                  _id: { agentEmail: "$agentEmail", currency: "$currency" },
+                  amountInCents: { $sum: "$amountInCents" },
+                  entryIds: { $push: "$_id" },
+                },
+              },
+              { $match: { amountInCents: { $gt: 0 } } },
+              { $sort: { "_id.agentEmail": 1 } },
+            ],
+            { session }
+          )
+          .toArray();
+        if (!lines.length) return;
+
+        const now = new Date();
+        payout = {
+          _id: new ObjectId(),
+          periodEnd,
+          lines: lines.map(({ _id, amountInCents, entryIds }) => ({
+            agentEmail: _id.agentEmail,
+            currency: _id.currency,
+            amountInCents,
+            entryCount: entryIds.length,
+          })),
+          totalInCents: lines.reduce(
+            (sum, line) => sum + line.amountInCents,
+            0
+          ),
+          createdBy: actor,
+          createdAt: now,
+        };
+        await collections.commissionPayouts.insertOne(payout, { session });
+        await collections.commissions.updateMany(
+          {
+            _id: { $in: lines.flatMap((line) => line.entryIds) },
+            status: "pending",
+          },
+          { $set: { status: "paid", payoutId: payout._id, paidAt: now } },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    return payout;
+  };
+
+  return { recordCommission, reverseCommissions, runPayout };
+};
+
+module.exports = { COMMISSION_TYPES, toCsv, createCommissions };
@@ -0,0 +1,14 @@
+const { DAY_MS } = require("./billing");
+
+const parseDateRange = (query, defaultDays = 30) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - defaultDays * DAY_MS);
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return { error: "Invalid date range" };
+  }
+  return { from, to };
+};
+
+module.exports = { parseDateRange };
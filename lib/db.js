@@ -0,0 +1,189 @@
+const { installCollectionValidators } = require("./schemas");
+const { uniqueSlug } = require("./blogs");
+const {
+  APPLICATION_TRANSITIONS,
+  normalizeStatus,
+} = require("./applicationStatus");
+
+const getCollections = (db) => ({
+  policies: db.collection("policies"),
+  applications: db.collection("applications"),
+  users: db.collection("users"),
+  payments: db.collection("payments"),
+  blogs: db.collection("blogs"),
+  agents: db.collection("agents"),
+  newsletterSubscribers: db.collection("newsletterSubscribers"),
+  purchases: db.collection("purchases"),
+  quotes: db.collection("quotes"),
+  stripeEvents: db.collection("stripeEvents"),
+  billingSchedules: db.collection("billingSchedules"),
+  counters: db.collection("counters"),
+  claims: db.collection("claims"),
+  sessions: db.collection("sessions"),
+  policyMetrics: db.collection("policyMetrics"),
+  policyVersions: db.collection("policyVersions"),
+  commissions: db.collection("commissions"),
+  commissionPayouts: db.collection("commissionPayouts"),
+  analyticsCache: db.collection("analyticsCache"),
+  blogViews: db.collection("blogViews"),
+  blogViewDays: db.collection("blogViewDays"),
+  blogLikes: db.collection("blogLikes"),
+  blogComments: db.collection("blogComments"),
+  campaigns: db.collection("campaigns"),
+  campaignDeliveries: db.collection("campaignDeliveries"),
+  notifications: db.collection("notifications"),
+  notificationOutbox: db.collection("notificationOutbox"),
+});
+
+const prepareDatabase = async (db) => {
+  await db
+    .collection("sessions")
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db
+    .collection("policies")
+    .createIndex(
+      { title: "text", description: "text" },
+      { name: "policy_text", weights: { title: 5, description: 1 } }
+    );
+  await db
+    .collection("purchases")
+    .createIndex({ applicationId: 1 }, { unique: true });
+  await db
+    .collection("policyMetrics")
+    .createIndex({ policyId: 1, day: 1 }, { unique: true });
+  await db
+    .collection("policyVersions")
+    .createIndex({ policyId: 1, version: 1 }, { unique: true });
+  await db
+    .collection("policyVersions")
+    .createIndex({ status: 1, effectiveFrom: 1 });
+  await db.collection("commissions").createIndex(
+    { paymentId: 1, kind: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { amountInCents: { $gt: 0 } },
+    }
+  );
+  await db
+    .collection("commissions")
+    .createIndex(
+      { applicationId: 1 },
+      { unique: true, partialFilterExpression: { kind: "flat" } }
+    );
+  await db
+    .collection("analyticsCache")
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db
+    .collection("blogs")
+    .updateMany({ status: { $exists: false } }, [
+      { $set: { status: "published", createdAt: "$publishDate" } },
+    ]);
+  const unslugged = await db
+    .collection("blogs")
+    .find({ slug: { $exists: false } }, { projection: { title: 1 } })
+    .toArray();
+  for (const blog of unslugged) {
+    await db
+      .collection("blogs")
+      .updateOne(
+        { _id: blog._id },
+        { $set: { slug: await uniqueSlug(db.collection("blogs"), blog.title) } }
+      );
+  }
+  await db
+    .collection("blogs")
+    .createIndex(
+      { slug: 1 },
+      { unique: true, partialFilterExpression: { slug: { $type: "string" } } }
+    );
+  await db.collection("blogs").createIndex({ status: 1, publishDate: -1 });
+  await db
+    .collection("blogViews")
+    .createIndex({ blogId: 1, visitor: 1 }, { unique: true });
+  await db
+    .collection("blogViews")
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db
+    .collection("blogViewDays")
+    .createIndex({ blogId: 1, day: 1 }, { unique: true });
+  await db
+    .collection("blogLikes")
+    .createIndex({ blogId: 1, userEmail: 1 }, { unique: true });
+  await db
+    .collection("blogComments")
+    .createIndex({ blogId: 1, status: 1, createdAt: 1 });
+  await db
+    .collection("blogComments")
+    .createIndex({ authorEmail: 1, createdAt: -1 });
+  await db
+    .collection("newsletterSubscribers")
+    .updateMany({ status: { $exists: false } }, [
+      {
+        $set: {
+          status: {
+            $cond: [{ $eq: ["$active", false] }, "unsubscribed", "active"],
+          },
+        },
+      },
+    ]);
+  await db
+    .collection("newsletterSubscribers")
+    .createIndex({ email: 1 }, { unique: true });
+  await db
+    .collection("campaignDeliveries")
+    .createIndex({ campaignId: 1, subscriberId: 1 }, { unique: true });
+  await db
+    .collection("campaignDeliveries")
+    .createIndex({ status: 1, lockedUntil: 1 });
+  await db
+    .collection("notifications")
+    .createIndex({ userEmail: 1, read: 1, createdAt: -1 });
+  await db
+    .collection("notificationOutbox")
+    .createIndex({ status: 1, lockedUntil: 1, createdAt: 1 });
+  const legacyApplications = await db
+    .collection("applications")
+    .find(
+      { status: { $nin: Object.keys(APPLICATION_TRANSITIONS) } },
+      { projection: { status: 1 } }
+    )
+    .toArray();
+  for (const application of legacyApplications) {
+    const status = normalizeStatus(application.status);
+    if (!APPLICATION_TRANSITIONS[status]) continue;
+    await db
+      .collection("applications")
+      .updateOne(
+        { _id: application._id, status: application.status ?? null },
+        { $set: { status } }
+      );
+  }
+  // Agents approved before approval promoted the account still carry the
+  // user role.
+  const approvedAgentEmails = await db
+    .collection("agents")
+    .distinct("email", { status: "approved" });
+  if (approvedAgentEmails.length) {
+    await db
+      .collection("users")
+      .updateMany(
+        {
+          email: { $in: approvedAgentEmails },
+          role: { $nin: ["admin", "agent"] },
+        },
+        { $set: { role: "agent" } }
+      );
+  }
+  await db.collection("payments").createIndex({ paid_at: 1 });
+  await db.collection("applications").createIndex({ applicationDate: 1 });
+
+  // collMod needs the dbAdmin role, which a readWrite user lacks; the
+  // indexes above must not depend on it, and routes still validate bodies.
+  try {
+    await installCollectionValidators(db);
+  } catch (err) {
+    console.error("Failed to install collection validators:", err);
+  }
+};
+
+module.exports = { getCollections, prepareDatabase };
@@ -0,0 +1,33 @@
+const createEventBus = () => {
+  const handlers = new Map();
+
+  const subscribe = (event, handler) => {
+    if (!handlers.has(event)) handlers.set(event, []);
+    handlers.get(event).push(handler);
+    return () => {
+      handlers.set(
+        event,
+        handlers.get(event).filter((existing) => existing !== handler)
+      );
+    };
+  };
+
+  const publish = async (event, payload) => {
+    const listeners = [
+      ...(handlers.get(event) || []),
+      ...(handlers.get("*") || []),
+    ];
+    const results = await Promise.allSettled(
+      listeners.map(async (handler) => handler(payload, event))
+    );
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) =>
+        console.error(`Event handler for ${event} failed:`, result.reason)
+      );
+  };
+
+  return { subscribe, publish };
+};
+
+module.exports = { createEventBus };
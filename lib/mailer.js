@@ -0,0 +1,37 @@
+const nodemailer = require("nodemailer");
+
+const MAIL_TRANSPORTS = {
+  smtp: (config) => nodemailer.createTransport(config.smtpUrl),
+  json: () => nodemailer.createTransport({ jsonTransport: true }),
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Without SMTP_URL nothing is delivered, so sending fails instead of
+// pretending; MAIL_LOG_ONLY opts into the JSON transport for development.
+const createMailer = ({ config, mailTransport }) => {
+  let transport = mailTransport;
+  if (!transport && (config.smtpUrl || config.mailLogOnly)) {
+    transport = MAIL_TRANSPORTS[config.smtpUrl ? "smtp" : "json"](config);
+  }
+  if (!transport) {
+    console.error("SMTP_URL is not set, outgoing email will fail");
+  }
+
+  const sendMail = async (message) => {
+    if (!transport) {
+      throw new Error("Email delivery is not configured");
+    }
+    return transport.sendMail({ from: config.mailFrom, ...message });
+  };
+
+  return { sendMail };
+};
+
+module.exports = { MAIL_TRANSPORTS, escapeHtml, createMailer };
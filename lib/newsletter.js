@@ -0,0 +1,284 @@
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { escapeHtml } = require("./mailer");
+
+const CONFIRMATION_TTL_HOURS = 48;
+const CAMPAIGN_TYPES = ["custom", "blog_digest", "new_policies"];
+const MAX_DELIVERY_ATTEMPTS = 3;
+const DELIVERY_LOCK_MS = 5 * 60 * 1000;
+// A campaign left in "sending" this long can be sent again to resume it.
+const SEND_LOCK_MS = 15 * 60 * 1000;
+
+const createNewsletter = ({ collections, config, sendMail, hashToken }) => {
+  const secret = () => config.newsletterSecret || config.jwtSecret;
+
+  const signUnsubscribe = (subscriberId) =>
+    crypto
+      .createHmac("sha256", secret())
+      .update(`unsubscribe:${subscriberId}`)
+      .digest("base64url");
+
+  const verifyUnsubscribe = (subscriberId, signature) => {
+    const expected = Buffer.from(signUnsubscribe(subscriberId));
+    const given = Buffer.from(String(signature || ""));
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    );
+  };
+
+  // Only newsletter mail links back to the API, so a missing API_URL fails
+  // these sends rather than every email the server sends.
+  const apiLink = (path) => {
+    if (!config.apiUrl) {
+      throw new Error("API_URL must be set for links in newsletter email");
+    }
+    return `${config.apiUrl}${path}`;
+  };
+
+  const unsubscribeUrl = (subscriberId) =>
+    apiLink(
+      `/unsubscribe?id=${subscriberId}&sig=${signUnsubscribe(subscriberId)}`
+    );
+
+  const issueConfirmation = async (subscriber) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await collections.newsletterSubscribers.updateOne(
+      { _id: subscriber._id },
+      {
+        $set: {
+          confirmTokenHash: hashToken(token),
+          confirmExpiresAt: new Date(
+            Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000
+          ),
+        },
+      }
+    );
+
+    const link = apiLink(`/subscribe/confirm?token=${token}`);
+    await sendMail({
+      to: subscriber.email,
+      subject: "Confirm your LifeNest newsletter subscription",
+      text: `Hi ${subscriber.name},\n\nPlease confirm your subscription: ${link}\n\nIf you did not sign up, ignore this email.`,
+      html: `<p>Hi ${escapeHtml(
+        subscriber.name
+      )},</p><p><a href="${link}">Confirm your subscription</a></p><p>If you did not sign up, ignore this email.</p>`,
+    });
+  };
+
+  const buildCampaignContent = async ({ type, intro, since, html, text }) => {
+    if (type === "custom") {
+      return { html, text: text || html.replace(/<[^>]+>/g, "") };
+    }
+
+    let items;
+    if (type === "blog_digest") {
+      const blogs = await collections.blogs
+        .find({ status: "published", publishDate: { $gte: since } })
+        .sort({ publishDate: -1 })
+        .toArray();
+      items = blogs.map((blog) => ({
+        title: blog.title,
+        summary: blog.summary,
+        url: `${config.clientUrl}/blogs/${blog.slug}`,
+      }));
+    } else {
+      const policies = await collections.policies
+        .find({
+          _id: { $gte: ObjectId.createFromTime(since.getTime() / 1000) },
+          status: { $ne: "archived" },
+        })
+        .sort({ _id: -1 })
+        .toArray();
+      items = policies.map((policy) => ({
+        title: policy.title,
+        summary: policy.description,
+        url: `${config.clientUrl}/policies/${policy._id}`,
+      }));
+    }
+    if (!items.length) return null;
+
+    return {
+      html: [
+        intro ? `<p>${escapeHtml(intro)}</p>` : "",
+        "<ul>",
+        ...items.map(
+          (item) =>
+            `<li><a href="${item.url}">${escapeHtml(item.title)}</a>${
+              item.summary ? `<br>${escapeHtml(item.summary)}` : ""
+            }</li>`
+        ),
+        "</ul>",
+      ].join(""),
+      text: [
+        intro || "",
+        ...items.map((item) => `- ${item.title}: ${item.url}`),
+      ].join("\n"),
+    };
+  };
+
+  const campaignStats = async (campaignId) => {
+    const counts = await collections.campaignDeliveries
+      .aggregate([
+        { $match: { campaignId } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    const stats = { total: 0, sent: 0, failed: 0, queued: 0 };
+    counts.forEach(({ _id, count }) => {
+      stats[_id] = count;
+      stats.total += count;
+    });
+    return stats;
+  };
+
+  const finishCampaign = async (campaignId) => {
+    const stats = await campaignStats(campaignId);
+    if (stats.queued) return stats;
+    await collections.campaigns.updateOne(
+      { _id: campaignId, status: "sending" },
+      {
+        $set: {
+          status: stats.failed ? "partially_sent" : "sent",
+          stats,
+          sentAt: new Date(),
+        },
+      }
+    );
+    return stats;
+  };
+
+  // Queues one delivery per active subscriber; failed deliveries from an
+  // earlier send are queued again. Safe to repeat for the same campaign.
+  const queueCampaign = async (campaign) => {
+    const now = new Date();
+    const subscribers = await collections.newsletterSubscribers
+      .find({ status: "active" }, { projection: { email: 1, name: 1 } })
+      .toArray();
+    if (subscribers.length) {
+      await collections.campaignDeliveries
+        .insertMany(
+          subscribers.map((subscriber) => ({
+            campaignId: campaign._id,
+            subscriberId: subscriber._id,
+            email: subscriber.email,
+            status: "queued",
+            attempts: 0,
+            lockedUntil: now,
+          })),
+          { ordered: false }
+        )
+        .catch((err) => {
+          if (err.code !== 11000) throw err;
+        });
+    }
+    await collections.campaignDeliveries.updateMany(
+      {
+        campaignId: campaign._id,
+        $or: [
+          { status: "failed" },
+          { status: "queued", lockedUntil: { $exists: false } },
+        ],
+      },
+      { $set: { status: "queued", attempts: 0, lockedUntil: now } }
+    );
+    return finishCampaign(campaign._id);
+  };
+
+  const deliver = async (delivery, campaign) => {
+    const unsubscribe = unsubscribeUrl(delivery.subscriberId);
+    const info = await sendMail({
+      to: delivery.email,
+      subject: campaign.subject,
+      html: `${campaign.html}<hr><p><a href="${unsubscribe}">Unsubscribe</a></p>`,
+      text: `${campaign.text}\n\nUnsubscribe: ${unsubscribe}`,
+      headers: {
+        "List-Unsubscribe": `<${unsubscribe}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+    await collections.campaignDeliveries.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: "sent",
+          messageId: info.messageId,
+          error: null,
+          sentAt: new Date(),
+        },
+      }
+    );
+  };
+
+  // Deliveries are claimed one at a time, so a send cut off by a function
+  // timeout resumes where it stopped on the next drain.
+  let draining = null;
+  const drainCampaigns = () => {
+    draining =
+      draining ||
+      (async () => {
+        const campaigns = new Map();
+        let sentCount = 0;
+        for (;;) {
+          const now = new Date();
+          const delivery =
+            await collections.campaignDeliveries.findOneAndUpdate(
+              { status: "queued", lockedUntil: { $lte: now } },
+              {
+                $set: {
+                  lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS),
+                },
+                $inc: { attempts: 1 },
+              },
+              { sort: { _id: 1 }, returnDocument: "after" }
+            );
+          if (!delivery) break;
+
+          const key = delivery.campaignId.toString();
+          if (!campaigns.has(key)) {
+            campaigns.set(
+              key,
+              await collections.campaigns.findOne({ _id: delivery.campaignId })
+            );
+          }
+          try {
+            await deliver(delivery, campaigns.get(key));
+            sentCount += 1;
+          } catch (err) {
+            const failed = delivery.attempts >= MAX_DELIVERY_ATTEMPTS;
+            await collections.campaignDeliveries.updateOne(
+              { _id: delivery._id },
+              {
+                $set: {
+                  status: failed ? "failed" : "queued",
+                  lockedUntil: new Date(
+                    now.getTime() + delivery.attempts * DELIVERY_LOCK_MS
+                  ),
+                  error: err.message,
+                },
+              }
+            );
+          }
+        }
+        for (const campaign of campaigns.values()) {
+          if (campaign) await finishCampaign(campaign._id);
+        }
+        return sentCount;
+      })().finally(() => {
+        draining = null;
+      });
+    return draining;
+  };
+
+  return {
+    verifyUnsubscribe,
+    unsubscribeUrl,
+    issueConfirmation,
+    buildCampaignContent,
+    campaignStats,
+    queueCampaign,
+    drainCampaigns,
+  };
+};
+
+module.exports = { CAMPAIGN_TYPES, SEND_LOCK_MS, createNewsletter };
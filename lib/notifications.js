@@ -0,0 +1,235 @@
+const { escapeHtml } = require("./mailer");
+
+const DEFAULT_PREFERENCES = { email: true, inApp: true, emailMutedEvents: [] };
+const MAX_DELIVERY_ATTEMPTS = 5;
+const DELIVERY_LOCK_MS = 5 * 60 * 1000;
+
+const STATUS_MESSAGES = {
+  under_review: "is now under review",
+  approved: "has been approved. You can now complete payment",
+  active: "is now active",
+  lapsed: "has lapsed because a payment was missed",
+  cancelled: "has been cancelled",
+};
+
+const NOTIFICATION_TEMPLATES = {
+  "application.submitted": ({ application, policyTitle }, links) => [
+    {
+      to: application.userEmail,
+      title: "Application received",
+      body: `We received your application for ${policyTitle}. We'll let you know when an agent picks it up.`,
+      link: links.customer,
+    },
+  ],
+  "application.assigned": ({ application, policyTitle }, links) => [
+    {
+      to: application.userEmail,
+      title: "An agent is reviewing your application",
+      body: `Your application for ${policyTitle} has been assigned to an agent.`,
+      link: links.customer,
+    },
+    {
+      to: application.assignedAgent,
+      title: "New application assigned",
+      body: `You have been assigned an application for ${policyTitle}.`,
+      link: links.agent,
+    },
+  ],
+  "application.rejected": ({ application, policyTitle, note }, links) => [
+    {
+      to: application.userEmail,
+      title: "Application rejected",
+      body: `Your application for ${policyTitle} was rejected.${
+        note ? ` Reason: ${note}` : ""
+      }`,
+      link: links.customer,
+    },
+  ],
+  "application.status_changed": ({ application, policyTitle, to }, links) =>
+    STATUS_MESSAGES[to]
+      ? [
+          {
+            to: application.userEmail,
+            title: "Application update",
+            body: `Your application for ${policyTitle} ${STATUS_MESSAGES[to]}.`,
+            link: links.customer,
+          },
+        ]
+      : [],
+  "payment.succeeded": ({ application, payment, policyTitle }, links) => [
+    {
+      to: application.userEmail,
+      title: "Payment received",
+      body: `We received your payment of ${payment.amount.toFixed(2)} ${String(
+        payment.currency || "usd"
+      ).toUpperCase()} for ${policyTitle}.`,
+      link: links.customer,
+    },
+  ],
+  "agent.status_changed": ({ agent, status, reason }, links) =>
+    ["approved", "disapproved"].includes(status)
+      ? [
+          {
+            to: agent.email,
+            title:
+              status === "approved"
+                ? "Your agent request was approved"
+                : "Your agent request was not approved",
+            body:
+              status === "approved"
+                ? "Welcome aboard! Sign in again to access the agent dashboard."
+                : `Your agent request was declined.${
+                    reason ? ` Reason: ${reason}` : ""
+                  }`,
+            link: links.agent,
+          },
+        ]
+      : [],
+};
+
+const createNotifications = ({ collections, config, sendMail, subscribe }) => {
+  const links = {
+    customer: `${config.clientUrl}/dashboard/my-policies`,
+    agent: `${config.clientUrl}/dashboard`,
+  };
+
+  const preferencesFor = async (emails) => {
+    const users = await collections.users
+      .find(
+        { email: { $in: emails } },
+        { projection: { email: 1, notificationPreferences: 1 } }
+      )
+      .toArray();
+    return new Map(
+      users.map((user) => [
+        user.email,
+        { ...DEFAULT_PREFERENCES, ...user.notificationPreferences },
+      ])
+    );
+  };
+
+  const deliver = async ({ _id, event, payload, done = [] }) => {
+    if (payload.application?.policyId && !payload.policyTitle) {
+      const policy = await collections.policies.findOne(
+        { _id: payload.application.policyId },
+        { projection: { title: 1 } }
+      );
+      payload = { ...payload, policyTitle: policy?.title || "your policy" };
+    }
+
+    const messages = NOTIFICATION_TEMPLATES[event](payload, links).filter(
+      (message) => message.to
+    );
+    if (!messages.length) return;
+
+    const preferences = await preferencesFor(messages.map(({ to }) => to));
+    const now = new Date();
+    const markDone = (step) =>
+      collections.notificationOutbox.updateOne(
+        { _id },
+        { $addToSet: { done: step } }
+      );
+    for (const message of messages) {
+      const prefs = preferences.get(message.to) || DEFAULT_PREFERENCES;
+      if (prefs.inApp && !done.includes(`inApp:${message.to}`)) {
+        await collections.notifications.insertOne({
+          userEmail: message.to,
+          event,
+          title: message.title,
+          body: message.body,
+          link: message.link,
+          read: false,
+          createdAt: now,
+        });
+        await markDone(`inApp:${message.to}`);
+      }
+      if (
+        prefs.email &&
+        !prefs.emailMutedEvents.includes(event) &&
+        !done.includes(`email:${message.to}`)
+      ) {
+        await sendMail({
+          to: message.to,
+          subject: message.title,
+          text: `${message.body}\n\n${message.link}`,
+          html: `<p>${escapeHtml(message.body)}</p><p><a href="${
+            message.link
+          }">Open LifeNest</a></p>`,
+        });
+        await markDone(`email:${message.to}`);
+      }
+    }
+  };
+
+  // Events are queued in an outbox and delivered after the publishing
+  // request returns, so webhooks and API calls never wait on the mail server.
+  let draining = null;
+  const drainNotifications = () => {
+    draining =
+      draining ||
+      (async () => {
+        let deliveredCount = 0;
+        for (;;) {
+          const now = new Date();
+          const job = await collections.notificationOutbox.findOneAndUpdate(
+            { status: "pending", lockedUntil: { $lte: now } },
+            {
+              $set: { lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) },
+              $inc: { attempts: 1 },
+            },
+            { sort: { createdAt: 1 }, returnDocument: "after" }
+          );
+          if (!job) break;
+
+          try {
+            await deliver(job);
+            await collections.notificationOutbox.deleteOne({ _id: job._id });
+            deliveredCount += 1;
+          } catch (err) {
+            console.error(`Notification ${job._id} failed:`, err);
+            const failed = job.attempts >= MAX_DELIVERY_ATTEMPTS;
+            await collections.notificationOutbox.updateOne(
+              { _id: job._id },
+              {
+                $set: {
+                  status: failed ? "failed" : "pending",
+                  lockedUntil: new Date(
+                    now.getTime() + job.attempts * DELIVERY_LOCK_MS
+                  ),
+                  error: err.message,
+                },
+              }
+            );
+          }
+        }
+        return deliveredCount;
+      })().finally(() => {
+        draining = null;
+      });
+    return draining;
+  };
+
+  Object.keys(NOTIFICATION_TEMPLATES).forEach((event) =>
+    subscribe(event, async (payload) => {
+      const now = new Date();
+      await collections.notificationOutbox.insertOne({
+        event,
+        payload,
+        status: "pending",
+        attempts: 0,
+        done: [],
+        lockedUntil: now,
+        createdAt: now,
+      });
+      setImmediate(() => drainNotifications().catch(console.error));
+    })
+  );
+
+  return { drainNotifications };
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  NOTIFICATION_TEMPLATES,
+  createNotifications,
+};
@@ -0,0 +1,33 @@
+const ROLE_PERMISSIONS = {
+  admin: [
+    "policies:write",
+    "users:manage",
+    "agents:manage",
+    "applications:read_all",
+    "applications:assign",
+    "applications:reject",
+    "applications:delete",
+    "payments:read_all",
+    "payments:refund",
+    "billing:manage",
+    "certificates:read_all",
+    "claims:read_all",
+    "claims:decide",
+    "stats:read",
+    "commissions:manage",
+    "blogs:moderate",
+    "newsletter:manage",
+  ],
+  agent: [
+    "applications:review",
+    "claims:review",
+    "blogs:write",
+    "commissions:read",
+  ],
+  user: [],
+};
+
+const hasPermission = (user, permission) =>
+  (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+
+module.exports = { ROLE_PERMISSIONS, hasPermission };
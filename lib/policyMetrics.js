@@ -0,0 +1,77 @@
+const POLICY_EVENTS = ["views", "applications", "purchases"];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const ratio = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 10000 : 0;
+
+const conversionRates = ({ views = 0, applications = 0, purchases = 0 }) => ({
+  viewToApplication: ratio(applications, views),
+  applicationToPurchase: ratio(purchases, applications),
+  viewToPurchase: ratio(purchases, views),
+});
+
+const createPolicyMetrics = ({ collections }) => {
+  const recordPolicyEvent = async (
+    policyId,
+    event,
+    { at = new Date(), amountInCents = 0 } = {}
+  ) => {
+    if (!POLICY_EVENTS.includes(event)) {
+      throw new Error(`Unknown policy event: ${event}`);
+    }
+    const policyInc = { [`stats.${event}`]: 1 };
+    const dailyInc = { [event]: 1 };
+    if (event === "purchases") {
+      policyInc.purchaseCount = 1;
+      dailyInc.premiumInCents = amountInCents;
+    }
+
+    await Promise.all([
+      collections.policies.updateOne({ _id: policyId }, { $inc: policyInc }),
+      collections.policyMetrics.updateOne(
+        { policyId, day: startOfDay(at) },
+        { $inc: dailyInc },
+        { upsert: true }
+      ),
+    ]);
+  };
+
+  const recordPurchase = async (application, at = new Date()) => {
+    const amountInCents = application.premium?.annualPremiumInCents || 0;
+    const result = await collections.purchases.updateOne(
+      { applicationId: application._id },
+      {
+        $setOnInsert: {
+          applicationId: application._id,
+          policyId: application.policyId,
+          userEmail: application.userEmail,
+          currency: application.premium?.currency || "usd",
+          paymentFrequency: application.premium?.paymentFrequency || null,
+          annualPremiumInCents: amountInCents,
+          purchasedAt: at,
+        },
+      },
+      { upsert: true }
+    );
+    if (!result.upsertedCount || !application.policyId) return;
+
+    await recordPolicyEvent(application.policyId, "purchases", {
+      at,
+      amountInCents,
+    });
+  };
+
+  return { recordPolicyEvent, recordPurchase };
+};
+
+module.exports = {
+  POLICY_EVENTS,
+  startOfDay,
+  conversionRates,
+  createPolicyMetrics,
+};
@@ -0,0 +1,184 @@
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: "textScore" } },
+  rate_asc: { baseRate: 1 },
+  rate_desc: { baseRate: -1 },
+  popular: { purchaseCount: -1, "stats.views": -1 },
+  newest: { _id: -1 },
+};
+const MAX_PAGE_SIZE = 50;
+
+const parseNumber = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const buildPolicySearch = (query) => {
+  const filters = {
+    minRate: parseNumber(query.minRate),
+    maxRate: parseNumber(query.maxRate),
+    minCoverage: parseNumber(query.minCoverage),
+    maxCoverage: parseNumber(query.maxCoverage),
+    term: parseNumber(query.term),
+    age: parseNumber(query.age),
+    minAge: parseNumber(query.minAge),
+    maxAge: parseNumber(query.maxAge),
+  };
+  const invalid = Object.keys(filters).filter((key) =>
+    Number.isNaN(filters[key])
+  );
+  if (invalid.length) {
+    return { error: `Invalid numeric filter: ${invalid.join(", ")}` };
+  }
+
+  const keyword = query.q?.trim();
+  const sort = query.sort || (keyword ? "relevance" : "newest");
+  if (!SORT_OPTIONS[sort] || (sort === "relevance" && !keyword)) {
+    return { error: "Invalid sort option" };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || 9, 1),
+    MAX_PAGE_SIZE
+  );
+
+  const match = {};
+  const and = [{ status: { $ne: "archived" } }];
+  if (filters.minRate !== undefined) {
+    and.push({ baseRate: { $gte: filters.minRate } });
+  }
+  if (filters.maxRate !== undefined) {
+    and.push({ baseRate: { $lte: filters.maxRate } });
+  }
+  if (filters.minCoverage !== undefined) {
+    and.push({
+      $or: [
+        { "rating.maxCoverage": { $gte: filters.minCoverage } },
+        { "rating.maxCoverage": { $exists: false } },
+      ],
+    });
+  }
+  if (filters.maxCoverage !== undefined) {
+    and.push({
+      $or: [
+        { "rating.minCoverage": { $lte: filters.maxCoverage } },
+        { "rating.minCoverage": { $exists: false } },
+      ],
+    });
+  }
+  if (filters.term !== undefined) {
+    and.push(
+      {
+        $or: [
+          { "rating.minTerm": { $lte: filters.term } },
+          { "rating.minTerm": { $exists: false } },
+        ],
+      },
+      {
+        $or: [
+          { "rating.maxTerm": { $gte: filters.term } },
+          { "rating.maxTerm": { $exists: false } },
+        ],
+      }
+    );
+  }
+  if (filters.age !== undefined) {
+    and.push(
+      {
+        $or: [
+          { minAge: { $lte: filters.age } },
+          { minAge: { $exists: false } },
+        ],
+      },
+      {
+        $or: [
+          { maxAge: { $gte: filters.age } },
+          { maxAge: { $exists: false } },
+        ],
+      }
+    );
+  }
+  if (filters.minAge !== undefined) {
+    and.push({ minAge: { $gte: filters.minAge } });
+  }
+  if (filters.maxAge !== undefined) {
+    and.push({ maxAge: { $lte: filters.maxAge } });
+  }
+  if (query.featured === "true") {
+    and.push({ featured: true });
+  }
+  match.$and = and;
+
+  const categoryMatch = query.category ? { category: query.category } : {};
+
+  const pipeline = [
+    ...(keyword ? [{ $match: { $text: { $search: keyword } } }] : []),
+    {
+      $addFields: {
+        // Rate per 1000 of coverage, not a premium: that depends on the
+        // applicant's age, coverage and term.
+        baseRate: { $ifNull: ["$rating.baseRate", "$basePremiumRate"] },
+        ...(keyword ? { score: { $meta: "textScore" } } : {}),
+      },
+    },
+    { $match: match },
+    {
+      $facet: {
+        policies: [
+          { $match: categoryMatch },
+          { $sort: { ...SORT_OPTIONS[sort], _id: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        total: [{ $match: categoryMatch }, { $count: "count" }],
+        categories: [{ $sortByCount: "$category" }],
+        rateRanges: [
+          { $match: { ...categoryMatch, baseRate: { $type: "number" } } },
+          {
+            $bucketAuto: {
+              groupBy: "$baseRate",
+              buckets: 5,
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        coverageRanges: [
+          {
+            $match: {
+              ...categoryMatch,
+              "rating.maxCoverage": { $type: "number" },
+            },
+          },
+          {
+            $bucketAuto: {
+              groupBy: "$rating.maxCoverage",
+              buckets: 5,
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        terms: [
+          {
+            $match: { ...categoryMatch, "rating.maxTerm": { $type: "number" } },
+          },
+          { $sortByCount: "$rating.maxTerm" },
+        ],
+        entryAges: [
+          { $match: { ...categoryMatch, minAge: { $type: "number" } } },
+          {
+            $group: {
+              _id: { minAge: "$minAge", maxAge: "$maxAge" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { "_id.minAge": 1 } },
+        ],
+      },
+    },
+  ];
+
+  return { pipeline, page, limit };
+};
+
+module.exports = { buildPolicySearch };
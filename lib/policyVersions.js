@@ -0,0 +1,174 @@
+const { SCHEMAS } = require("./schemas");
+
+const VERSIONED_FIELDS = Object.keys(SCHEMAS.policies.fields).filter(
+  (field) => !SCHEMAS.policies.fields[field].serverOnly
+);
+
+const snapshotPolicy = (policy) =>
+  Object.fromEntries(
+    VERSIONED_FIELDS.filter((field) => policy[field] !== undefined).map(
+      (field) => [field, policy[field]]
+    )
+  );
+
+const diffSnapshots = (before = {}, after = {}) =>
+  VERSIONED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    field,
+    from: before[field] ?? null,
+    to: after[field] ?? null,
+  }));
+
+const createPolicyVersions = ({ collections }) => {
+  const recordInitialVersion = async (policy, actor, at = new Date()) => {
+    const snapshot = snapshotPolicy(policy);
+    const version = {
+      policyId: policy._id,
+      version: 1,
+      status: "applied",
+      effectiveFrom: at,
+      appliedAt: at,
+      snapshot,
+      changes: diffSnapshots({}, snapshot),
+      note: "Initial version",
+      createdBy: actor,
+      createdAt: at,
+    };
+    await collections.policyVersions.insertOne(version);
+    return version;
+  };
+
+  const activateDueVersions = async (filter = {}) => {
+    const now = new Date();
+    const due = await collections.policyVersions
+      .find({ ...filter, status: "scheduled", effectiveFrom: { $lte: now } })
+      .sort({ policyId: 1, version: 1 })
+      .toArray();
+
+    for (const version of due) {
+      await collections.policies.updateOne(
+        {
+          _id: version.policyId,
+          $or: [
+            { version: { $lt: version.version } },
+            { version: { $exists: false } },
+          ],
+        },
+        { $set: { ...version.snapshot, version: version.version } }
+      );
+      await collections.policyVersions.updateOne(
+        { _id: version._id },
+        { $set: { status: "applied", appliedAt: now } }
+      );
+    }
+    return due.length;
+  };
+
+  // An immediate edit slots in before any scheduled versions, which are
+  // renumbered and rebased so they keep only their own changes on top of it.
+  const rebaseScheduledVersions = async (scheduled, base) => {
+    let previous = base;
+    const rebased = scheduled.map((version) => {
+      const snapshot = { ...previous };
+      version.changes.forEach(({ field }) => {
+        if (version.snapshot[field] === undefined) {
+          delete snapshot[field];
+        } else {
+          snapshot[field] = version.snapshot[field];
+        }
+      });
+      const changes = diffSnapshots(previous, snapshot);
+      previous = snapshot;
+      return { ...version, snapshot, changes };
+    });
+
+    for (const version of [...rebased].reverse()) {
+      await collections.policyVersions.updateOne(
+        { _id: version._id, status: "scheduled" },
+        {
+          $set: {
+            version: version.version + 1,
+            snapshot: version.snapshot,
+            changes: version.changes,
+          },
+        }
+      );
+    }
+  };
+
+  const createPolicyVersion = async (
+    policy,
+    changes,
+    { effectiveFrom = new Date(), note, actor }
+  ) => {
+    let latest = await collections.policyVersions.findOne(
+      { policyId: policy._id },
+      { sort: { version: -1 } }
+    );
+    if (!latest) {
+      latest = await recordInitialVersion(policy, actor);
+    }
+
+    const immediate = effectiveFrom <= new Date();
+    const scheduled =
+      immediate && latest.status === "scheduled"
+        ? await collections.policyVersions
+            .find({ policyId: policy._id, status: "scheduled" })
+            .sort({ version: 1 })
+            .toArray()
+        : [];
+    const base = scheduled.length
+      ? await collections.policyVersions.findOne(
+          { policyId: policy._id, status: "applied" },
+          { sort: { version: -1 } }
+        )
+      : latest;
+    if (
+      !immediate &&
+      latest.status === "scheduled" &&
+      effectiveFrom < latest.effectiveFrom
+    ) {
+      return {
+        code: 409,
+        error: `Version ${latest.version} is already scheduled for a later date`,
+      };
+    }
+
+    const snapshot = { ...base.snapshot, ...changes };
+    const diff = diffSnapshots(base.snapshot, snapshot);
+    if (!diff.length) {
+      return { code: 400, error: "Nothing to update" };
+    }
+
+    const version = {
+      policyId: policy._id,
+      version: base.version + 1,
+      status: "scheduled",
+      effectiveFrom,
+      snapshot,
+      changes: diff,
+      note: note || null,
+      createdBy: actor,
+      createdAt: new Date(),
+    };
+    try {
+      await rebaseScheduledVersions(scheduled, snapshot);
+      await collections.policyVersions.insertOne(version);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return { code: 409, error: "Policy changed, please retry" };
+    }
+    await activateDueVersions({ policyId: policy._id });
+    return { version };
+  };
+
+  return { recordInitialVersion, activateDueVersions, createPolicyVersion };
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  snapshotPolicy,
+  diffSnapshots,
+  createPolicyVersions,
+};
@@ -0,0 +1,178 @@
+const QUOTE_VALIDITY_DAYS = 30;
+const PAYMENT_FREQUENCIES = {
+  monthly: { installments: 12, label: "Monthly" },
+  yearly: { installments: 1, label: "Yearly" },
+};
+
+const defaultRating = (policy) => ({
+  baseRate: Number(policy.basePremiumRate) || 0,
+  ageBands: [],
+  termFactors: [],
+  smokerLoading: 0.5,
+  frequencyLoading: { monthly: 0.05, yearly: 0 },
+  minCoverage: 0,
+  maxCoverage: Infinity,
+  minTerm: 1,
+  maxTerm: Infinity,
+  currency: "usd",
+});
+
+const findBand = (bands, value, minKey, maxKey) =>
+  bands.find(
+    (band) =>
+      value >= (band[minKey] ?? -Infinity) &&
+      value <= (band[maxKey] ?? Infinity)
+  );
+
+const ageRangeError = (minAge, maxAge) => {
+  if (minAge && maxAge) {
+    return `Applicant age must be between ${minAge} and ${maxAge}`;
+  }
+  return minAge
+    ? `Applicant age must be at least ${minAge}`
+    : `Applicant age must be at most ${maxAge}`;
+};
+
+const ageOn = (dateOfBirth, date) => {
+  const birth = new Date(dateOfBirth);
+  let age = date.getFullYear() - birth.getFullYear();
+  if (
+    date.getMonth() < birth.getMonth() ||
+    (date.getMonth() === birth.getMonth() && date.getDate() < birth.getDate())
+  ) {
+    age -= 1;
+  }
+  return age;
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const addInstallments = (date, frequency, count = 1) => {
+  const next = new Date(date);
+  if (frequency === "monthly") {
+    next.setMonth(next.getMonth() + count);
+  } else {
+    next.setFullYear(next.getFullYear() + count);
+  }
+  return next;
+};
+
+const calculateQuote = (policy, input) => {
+  const rating = { ...defaultRating(policy), ...(policy.rating || {}) };
+  const age = parseInt(input.age);
+  const coverageAmount = Number(input.coverageAmount);
+  const termYears = parseInt(input.termYears);
+  const smoker = input.smoker === true || input.smoker === "true";
+  const paymentFrequency = input.paymentFrequency || "yearly";
+
+  if (!Number.isInteger(age) || age <= 0) {
+    return { error: "A valid age is required" };
+  }
+  if (!coverageAmount || coverageAmount <= 0) {
+    return { error: "A valid coverage amount is required" };
+  }
+  if (!Number.isInteger(termYears) || termYears <= 0) {
+    return { error: "A valid term length is required" };
+  }
+  if (!PAYMENT_FREQUENCIES[paymentFrequency]) {
+    return { error: "Payment frequency must be monthly or yearly" };
+  }
+  if (!rating.baseRate || rating.baseRate <= 0) {
+    return { error: "This policy has no rating rules configured" };
+  }
+
+  const minAge = policy.minAge ?? rating.minAge;
+  const maxAge = policy.maxAge ?? rating.maxAge;
+  if ((minAge && age < minAge) || (maxAge && age > maxAge)) {
+    return { error: ageRangeError(minAge, maxAge) };
+  }
+  if (
+    coverageAmount < rating.minCoverage ||
+    coverageAmount > rating.maxCoverage
+  ) {
+    return {
+      error: `Coverage must be between ${rating.minCoverage} and ${rating.maxCoverage}`,
+    };
+  }
+  if (termYears < rating.minTerm || termYears > rating.maxTerm) {
+    return {
+      error: `Term must be between ${rating.minTerm} and ${rating.maxTerm} years`,
+    };
+  }
+
+  let ageFactor = 1;
+  if (rating.ageBands.length) {
+    const band = findBand(rating.ageBands, age, "minAge", "maxAge");
+    if (!band) {
+      return { error: "No age band covers this applicant" };
+    }
+    ageFactor = Number(band.factor);
+  }
+
+  const termBand = findBand(
+    rating.termFactors,
+    termYears,
+    "minYears",
+    "maxYears"
+  );
+  const termFactor = termBand ? Number(termBand.factor) : 1;
+
+  const base = (coverageAmount / 1000) * rating.baseRate;
+  const ageAdjustment = base * (ageFactor - 1);
+  const termAdjustment = (base + ageAdjustment) * (termFactor - 1);
+  const rated = base + ageAdjustment + termAdjustment;
+  const smokerLoading = smoker ? rated * rating.smokerLoading : 0;
+  const annual = rated + smokerLoading;
+  const frequencyLoading =
+    annual * (rating.frequencyLoading[paymentFrequency] || 0);
+
+  const breakdown = [
+    { code: "base", label: "Base premium", amountInCents: toCents(base) },
+    {
+      code: "age",
+      label: `Age band (x${ageFactor})`,
+      amountInCents: toCents(ageAdjustment),
+    },
+    {
+      code: "term",
+      label: `Term length (x${termFactor})`,
+      amountInCents: toCents(termAdjustment),
+    },
+    {
+      code: "smoker",
+      label: "Smoker loading",
+      amountInCents: toCents(smokerLoading),
+    },
+    {
+      code: "frequency",
+      label: `${PAYMENT_FREQUENCIES[paymentFrequency].label} payment loading`,
+      amountInCents: toCents(frequencyLoading),
+    },
+  ];
+
+  const annualPremiumInCents = breakdown.reduce(
+    (sum, line) => sum + line.amountInCents,
+    0
+  );
+  const { installments } = PAYMENT_FREQUENCIES[paymentFrequency];
+
+  return {
+    quote: {
+      input: { age, coverageAmount, termYears, smoker, paymentFrequency },
+      breakdown,
+      currency: rating.currency,
+      annualPremiumInCents,
+      installments,
+      installmentAmountInCents: Math.round(annualPremiumInCents / installments),
+    },
+  };
+};
+
+module.exports = {
+  QUOTE_VALIDITY_DAYS,
+  PAYMENT_FREQUENCIES,
+  ageOn,
+  toCents,
+  addInstallments,
+  calculateQuote,
+};
@@ -0,0 +1,137 @@
+const { hasPermission } = require("./permissions");
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const createLocalAdapter = () => {
+  const handlers = [];
+  return {
+    publish: async (message) => {
+      handlers.forEach((handler) => handler(message));
+    },
+    onMessage: (handler) => {
+      handlers.push(handler);
+    },
+  };
+};
+
+const applicationSummary = ({ application, from, to }) => ({
+  applicationId: application._id,
+  policyId: application.policyId,
+  status: application.status,
+  from,
+  to,
+  assignedAgent: application.assignedAgent || null,
+});
+
+const REALTIME_ROUTES = {
+  "application.submitted": (payload) => [
+    {
+      audience: { permission: "applications:read_all" },
+      data: applicationSummary(payload),
+    },
+  ],
+  "application.assigned": (payload) => [
+    {
+      audience: { emails: [payload.application.assignedAgent] },
+      data: applicationSummary(payload),
+    },
+    {
+      audience: { emails: [payload.application.userEmail] },
+      data: applicationSummary(payload),
+    },
+  ],
+  "application.rejected": (payload) => [
+    {
+      audience: { emails: [payload.application.userEmail] },
+      data: applicationSummary(payload),
+    },
+  ],
+  "application.status_changed": (payload) => [
+    {
+      audience: { emails: [payload.application.userEmail] },
+      data: applicationSummary(payload),
+    },
+  ],
+  "payment.succeeded": ({ application, payment }) => {
+    const data = {
+      applicationId: application._id,
+      paymentId: payment._id,
+      amount: payment.amount,
+      currency: payment.currency,
+    };
+    return [
+      { audience: { permission: "payments:read_all" }, data },
+      { audience: { emails: [application.userEmail] }, data },
+    ];
+  },
+};
+
+const createRealtime = ({ subscribe, realtimeAdapter }) => {
+  const adapter = realtimeAdapter || createLocalAdapter();
+  const clients = new Map();
+  let nextClientId = 1;
+  let nextEventId = 1;
+
+  const matches = (user, audience) =>
+    (audience.emails || []).includes(user.email) ||
+    (audience.permission && hasPermission(user, audience.permission));
+
+  adapter.onMessage(({ event, audience, data }) => {
+    if (event === "session.revoked") {
+      clients.forEach(({ res, user }) => {
+        if (audience.sessionIds.includes(user.sid)) res.end();
+      });
+      return;
+    }
+
+    const frame = `id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(
+      data
+    )}\n\n`;
+    clients.forEach(({ res, user }) => {
+      if (matches(user, audience)) res.write(frame);
+    });
+  });
+
+  Object.entries(REALTIME_ROUTES).forEach(([event, route]) =>
+    subscribe(event, (payload) =>
+      Promise.all(
+        route(payload).map(({ audience, data }) =>
+          adapter.publish({ event, audience, data })
+        )
+      )
+    )
+  );
+  // Revocations go through the adapter too, so streams held open on other
+  // instances close as well.
+  subscribe("session.revoked", ({ sessionIds }) =>
+    adapter.publish({ event: "session.revoked", audience: { sessionIds } })
+  );
+
+  const openStream = (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const id = nextClientId++;
+    clients.set(id, { res, user: req.user });
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    const expiry = req.user.exp
+      ? setTimeout(() => res.end(), req.user.exp * 1000 - Date.now())
+      : null;
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      clients.delete(id);
+    });
+  };
+
+  return { openStream, realtimeClientCount: () => clients.size };
+};
+
+module.exports = { REALTIME_ROUTES, createLocalAdapter, createRealtime };
@@ -0,0 +1,537 @@
+const { ObjectId } = require("mongodb");
+const { APPLICATION_TRANSITIONS } = require("./applicationStatus");
+const { ROLE_PERMISSIONS } = require("./permissions");
+const { AGENT_TRANSITIONS } = require("./agents");
+const { COMMISSION_TYPES } = require("./commissions");
+const { BLOG_TRANSITIONS } = require("./blogs");
+const { COMMENT_STATUSES } = require("./blogEngagement");
+const { CAMPAIGN_TYPES } = require("./newsletter");
+const { NOTIFICATION_TEMPLATES } = require("./notifications");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SCHEMAS = {
+  policies: {
+    collection: "policies",
+    fields: {
+      title: { type: "string", required: true, minLength: 1, maxLength: 200 },
+      category: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 100,
+      },
+      description: { type: "string", maxLength: 5000 },
+      image: { type: "string", maxLength: 2000 },
+      minAge: { type: "integer", min: 0, max: 120 },
+      maxAge: { type: "integer", min: 0, max: 120 },
+      coverageRange: { type: "string", maxLength: 200 },
+      duration: { type: "string", maxLength: 200 },
+      basePremiumRate: { type: "number", min: 0 },
+      terms: { type: "array", items: { type: "string", maxLength: 2000 } },
+      featured: { type: "boolean" },
+      commission: {
+        type: "object",
+        fields: {
+          type: { type: "string", required: true, enum: COMMISSION_TYPES },
+          rate: { type: "number", min: 0, max: 100 },
+          flatAmount: { type: "number", min: 0 },
+          renewalRate: { type: "number", min: 0, max: 100 },
+        },
+      },
+      rating: {
+        type: "object",
+        fields: {
+          baseRate: { type: "number", min: 0 },
+          ageBands: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                minAge: { type: "integer", min: 0 },
+                maxAge: { type: "integer", min: 0 },
+                factor: { type: "number", required: true, min: 0 },
+              },
+            },
+          },
+          termFactors: {
+            type: "array",
+            items: {
+              type: "object",
+              fields: {
+                minYears: { type: "integer", min: 0 },
+                maxYears: { type: "integer", min: 0 },
+                factor: { type: "number", required: true, min: 0 },
+              },
+            },
+          },
+          smokerLoading: { type: "number", min: 0 },
+          frequencyLoading: {
+            type: "object",
+            fields: {
+              monthly: { type: "number", min: 0 },
+              yearly: { type: "number", min: 0 },
+            },
+          },
+          minCoverage: { type: "number", min: 0 },
+          maxCoverage: { type: "number", min: 0 },
+          minTerm: { type: "integer", min: 1 },
+          maxTerm: { type: "integer", min: 1 },
+          currency: { type: "string", pattern: /^[a-z]{3}$/ },
+          gracePeriodDays: { type: "integer", min: 0 },
+        },
+      },
+      stripeProductId: { type: "string", serverOnly: true },
+      version: { type: "integer", min: 1, serverOnly: true },
+      status: {
+        type: "string",
+        serverOnly: true,
+        enum: ["active", "archived"],
+      },
+      archivedAt: { type: "date", serverOnly: true },
+      archivedBy: { type: "string", serverOnly: true },
+      purchaseCount: { type: "integer", min: 0, serverOnly: true },
+      stats: {
+        type: "object",
+        serverOnly: true,
+        fields: {
+          views: { type: "integer", min: 0 },
+          applications: { type: "integer", min: 0 },
+          purchases: { type: "integer", min: 0 },
+        },
+      },
+    },
+  },
+
+  applications: {
+    collection: "applications",
+    fields: {
+      quoteId: { type: "objectId", required: true },
+      aname: { type: "string", maxLength: 200 },
+      email: { type: "string", pattern: EMAIL_PATTERN },
+      phone: { type: "string", maxLength: 30 },
+      address: { type: "string", maxLength: 500 },
+      district: { type: "string", maxLength: 100 },
+      nid: { type: "string", maxLength: 50 },
+      dateOfBirth: { type: "date" },
+      nomineeName: { type: "string", maxLength: 200 },
+      nomineeRelation: { type: "string", maxLength: 100 },
+      healthConditions: {
+        type: "array",
+        items: { type: "string", maxLength: 200 },
+      },
+      userEmail: { type: "string", required: true, serverOnly: true },
+      policyId: { type: "objectId", required: true, serverOnly: true },
+      policyVersion: { type: "integer", min: 1, serverOnly: true },
+      premium: { type: "object", serverOnly: true },
+      status: {
+        type: "string",
+        required: true,
+        serverOnly: true,
+        enum: Object.keys(APPLICATION_TRANSITIONS),
+      },
+      statusHistory: { type: "array", serverOnly: true },
+      applicationDate: { type: "date", required: true, serverOnly: true },
+      assignedAgent: { type: "string", nullable: true, serverOnly: true },
+      assignedAt: { type: "date", serverOnly: true },
+      assignmentMethod: {
+        type: "string",
+        serverOnly: true,
+        enum: ["auto", "manual"],
+      },
+      paymentStatus: { type: "string", nullable: true, serverOnly: true },
+      policyNumber: { type: "string", serverOnly: true },
+      certificateCode: { type: "string", serverOnly: true },
+    },
+  },
+
+  users: {
+    collection: "users",
+    fields: {
+      name: { type: "string", required: true, minLength: 1, maxLength: 200 },
+      email: { type: "string", required: true, pattern: EMAIL_PATTERN },
+      photoURL: { type: "string", maxLength: 2000 },
+      phone: { type: "string", maxLength: 30 },
+      address: { type: "string", maxLength: 500 },
+      created_at: { type: "date", serverOnly: true },
+      last_log_in: { type: "date" },
+      role: {
+        type: "string",
+        serverOnly: true,
+        enum: Object.keys(ROLE_PERMISSIONS),
+      },
+      stripeCustomerId: { type: "string", serverOnly: true },
+      notificationPreferences: {
+        type: "object",
+        fields: {
+          email: { type: "boolean" },
+          inApp: { type: "boolean" },
+          emailMutedEvents: {
+            type: "array",
+            items: {
+              type: "string",
+              enum: Object.keys(NOTIFICATION_TEMPLATES),
+            },
+          },
+        },
+      },
+    },
+  },
+
+  agents: {
+    collection: "agents",
+    fields: {
+      name: { type: "string", required: true, minLength: 1, maxLength: 200 },
+      email: {
+        type: "string",
+        required: true,
+        serverOnly: true,
+        pattern: EMAIL_PATTERN,
+      },
+      district: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 100,
+      },
+      phone: { type: "string", maxLength: 30 },
+      photoURL: { type: "string", maxLength: 2000 },
+      experience: { type: "string", maxLength: 1000 },
+      bio: { type: "string", maxLength: 2000 },
+      status: {
+        type: "string",
+        required: true,
+        serverOnly: true,
+        enum: Object.keys(AGENT_TRANSITIONS),
+      },
+      created_at: { type: "date", serverOnly: true },
+      requestedBy: { type: "string", serverOnly: true },
+      approvedBy: { type: "string", serverOnly: true },
+      approvedAt: { type: "date", serverOnly: true },
+      statusReason: { type: "string", nullable: true, serverOnly: true },
+      statusChangedBy: { type: "string", serverOnly: true },
+      statusChangedAt: { type: "date", serverOnly: true },
+      available: { type: "boolean", serverOnly: true },
+      lastAssignedAt: { type: "date", serverOnly: true },
+      statusHistory: { type: "array", serverOnly: true },
+    },
+  },
+
+  blogs: {
+    collection: "blogs",
+    fields: {
+      title: { type: "string", required: true, minLength: 1, maxLength: 300 },
+      content: { type: "string", required: true, minLength: 1 },
+      summary: { type: "string", maxLength: 1000 },
+      image: { type: "string", maxLength: 2000 },
+      category: { type: "string", maxLength: 100 },
+      tags: {
+        type: "array",
+        items: { type: "string", minLength: 1, maxLength: 50 },
+      },
+      authorEmail: { type: "string", required: true, serverOnly: true },
+      authorName: { type: "string", serverOnly: true },
+      slug: { type: "string", serverOnly: true },
+      status: {
+        type: "string",
+        serverOnly: true,
+        enum: Object.keys(BLOG_TRANSITIONS),
+      },
+      createdAt: { type: "date", serverOnly: true },
+      updatedAt: { type: "date", serverOnly: true },
+      publishDate: { type: "date", serverOnly: true },
+      reviewedBy: { type: "string", serverOnly: true },
+      reviewedAt: { type: "date", serverOnly: true },
+      moderationNote: { type: "string", nullable: true, serverOnly: true },
+      statusHistory: { type: "array", serverOnly: true },
+      viewCount: { type: "integer", min: 0, serverOnly: true },
+      likeCount: { type: "integer", min: 0, serverOnly: true },
+      commentCount: { type: "integer", min: 0, serverOnly: true },
+    },
+  },
+
+  blogComments: {
+    collection: "blogComments",
+    fields: {
+      body: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+      parentId: { type: "objectId", nullable: true },
+      blogId: { type: "objectId", required: true, serverOnly: true },
+      authorEmail: { type: "string", required: true, serverOnly: true },
+      authorName: { type: "string", serverOnly: true },
+      depth: { type: "integer", min: 0, serverOnly: true },
+      status: {
+        type: "string",
+        required: true,
+        serverOnly: true,
+        enum: COMMENT_STATUSES,
+      },
+      moderatedBy: { type: "string", serverOnly: true },
+      moderatedAt: { type: "date", serverOnly: true },
+      createdAt: { type: "date", serverOnly: true },
+    },
+  },
+
+  payments: {
+    collection: "payments",
+    fields: {
+      transactionId: { type: "string", required: true, serverOnly: true },
+      email: { type: "string", required: true, serverOnly: true },
+      amount: { type: "number", required: true, min: 0, serverOnly: true },
+      currency: { type: "string", serverOnly: true },
+      applicationId: { type: "objectId", required: true, serverOnly: true },
+      scheduleId: { type: "objectId", serverOnly: true },
+      installmentNumber: { type: "integer", min: 1, serverOnly: true },
+      status: {
+        type: "string",
+        required: true,
+        serverOnly: true,
+        enum: ["success", "failed", "refunded", "partially_refunded"],
+      },
+      refundedAmount: { type: "number", min: 0, serverOnly: true },
+      paid_at: { type: "date", serverOnly: true },
+    },
+  },
+
+  subscribers: {
+    collection: "newsletterSubscribers",
+    fields: {
+      name: { type: "string", required: true, minLength: 1, maxLength: 200 },
+      email: { type: "string", required: true, pattern: EMAIL_PATTERN },
+      subscribedAt: { type: "date", serverOnly: true },
+      active: { type: "boolean", serverOnly: true },
+      status: {
+        type: "string",
+        serverOnly: true,
+        enum: ["pending", "active", "unsubscribed"],
+      },
+      confirmTokenHash: { type: "string", serverOnly: true },
+      confirmExpiresAt: { type: "date", serverOnly: true },
+      confirmedAt: { type: "date", serverOnly: true },
+      unsubscribedAt: { type: "date", serverOnly: true },
+    },
+  },
+
+  campaigns: {
+    collection: "campaigns",
+    fields: {
+      subject: { type: "string", required: true, minLength: 1, maxLength: 200 },
+      type: { type: "string", required: true, enum: CAMPAIGN_TYPES },
+      intro: { type: "string", maxLength: 2000 },
+      html: { type: "string", maxLength: 200000 },
+      text: { type: "string", maxLength: 200000 },
+      since: { type: "date" },
+      status: {
+        type: "string",
+        required: true,
+        serverOnly: true,
+        enum: ["draft", "sending", "partially_sent", "sent"],
+      },
+      stats: { type: "object", serverOnly: true },
+      createdBy: { type: "string", serverOnly: true },
+      createdAt: { type: "date", serverOnly: true },
+      sendStartedAt: { type: "date", serverOnly: true },
+      sentAt: { type: "date", serverOnly: true },
+    },
+  },
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof ObjectId);
+
+const checkValue = (spec, raw, path, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path, message });
+  };
+
+  if (raw === null) {
+    if (spec.nullable) return null;
+    return fail("must not be null");
+  }
+
+  let value = raw;
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return fail(`must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return fail(`must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return fail("has an invalid format");
+      }
+      break;
+    case "number":
+    case "integer":
+      if (typeof value === "string" && value.trim() !== "") {
+        value = Number(value);
+      }
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return fail("must be a number");
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return fail("must be an integer");
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return fail(`must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return fail(`must be at most ${spec.max}`);
+      }
+      break;
+    case "boolean":
+      if (value === "true" || value === "false") value = value === "true";
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+    case "date":
+      value = value instanceof Date ? value : new Date(value);
+      if (typeof raw === "boolean" || Number.isNaN(value.getTime())) {
+        return fail("must be a valid date");
+      }
+      break;
+    case "objectId":
+      if (!ObjectId.isValid(value) || String(value).length !== 24) {
+        return fail("must be a valid id");
+      }
+      value = new ObjectId(value);
+      break;
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (spec.items) {
+        value = value.map((item, index) =>
+          checkValue(spec.items, item, `${path}[${index}]`, errors)
+        );
+      }
+      break;
+    case "object":
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (spec.fields) {
+        const nested = validateFields(spec.fields, value, { path });
+        errors.push(...nested.errors);
+        value = nested.value;
+      }
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return fail(`must be one of ${spec.enum.join(", ")}`);
+  }
+  return value;
+};
+
+const validateFields = (fields, input, { partial = false, path = "" } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!isPlainObject(input)) {
+    return {
+      value,
+      errors: [{ field: path || "body", message: "must be an object" }],
+    };
+  }
+
+  for (const [key, raw] of Object.entries(input)) {
+    const spec = fields[key];
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (!spec || spec.serverOnly) {
+      errors.push({ field: fieldPath, message: "is not allowed" });
+      continue;
+    }
+    if (raw === undefined) continue;
+    const checked = checkValue(spec, raw, fieldPath, errors);
+    if (checked !== undefined) value[key] = checked;
+  }
+
+  if (!partial) {
+    for (const [key, spec] of Object.entries(fields)) {
+      if (spec.required && !spec.serverOnly && input[key] === undefined) {
+        errors.push({
+          field: path ? `${path}.${key}` : key,
+          message: "is required",
+        });
+      }
+    }
+  }
+
+  return { value, errors };
+};
+
+const BSON_TYPES = {
+  string: "string",
+  number: "number",
+  integer: ["int", "long", "double"],
+  boolean: "bool",
+  date: "date",
+  objectId: "objectId",
+  array: "array",
+  object: "object",
+};
+
+const toBsonSchema = (spec) => {
+  const bsonType = [].concat(BSON_TYPES[spec.type]);
+  if (spec.nullable) bsonType.push("null");
+
+  const schema = { bsonType: bsonType.length === 1 ? bsonType[0] : bsonType };
+  if (spec.enum) {
+    schema.enum = spec.nullable ? [...spec.enum, null] : spec.enum;
+  }
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.items) schema.items = toBsonSchema(spec.items);
+  if (spec.fields) Object.assign(schema, toJsonSchema(spec.fields));
+  return schema;
+};
+
+const toJsonSchema = (fields) => {
+  const required = Object.keys(fields).filter((key) => fields[key].required);
+  const schema = {
+    bsonType: "object",
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([key, spec]) => [key, toBsonSchema(spec)])
+    ),
+  };
+  if (required.length) schema.required = required;
+  return schema;
+};
+
+const validateBody =
+  (schema, { partial = false, omit = [] } = {}) =>
+  (req, res, next) => {
+    const input = isPlainObject(req.body) ? { ...req.body } : req.body;
+    if (isPlainObject(input)) omit.forEach((key) => delete input[key]);
+
+    const { value, errors } = validateFields(SCHEMAS[schema].fields, input, {
+      partial,
+    });
+    if (errors.length) {
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+    req.body = value;
+    next();
+  };
+
+const installCollectionValidators = async (db) => {
+  for (const { collection, fields } of Object.values(SCHEMAS)) {
+    const options = {
+      validator: { $jsonSchema: toJsonSchema(fields) },
+      validationLevel: "moderate",
+      validationAction: "error",
+    };
+    try {
+      await db.command({ collMod: collection, ...options });
+    } catch (err) {
+      if (err.codeName !== "NamespaceNotFound") throw err;
+      await db.createCollection(collection, options);
+    }
+  }
+};
+
+module.exports = { SCHEMAS, validateBody, installCollectionValidators };
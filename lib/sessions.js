@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const createSessions = ({ collections, auth, config, publish }) => {
+  const syncRoleClaim = async (email, role) => {
+    try {
+      const firebaseUser = await auth.getUserByEmail(email);
+      if (firebaseUser.customClaims?.role === role) return;
+      await auth.setCustomUserClaims(firebaseUser.uid, {
+        ...firebaseUser.customClaims,
+        role,
+      });
+    } catch (err) {
+      if (err.code !== "auth/user-not-found") throw err;
+    }
+  };
+
+  const hashToken = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+  const issueSession = async (user, sessionId = new ObjectId()) => {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const now = new Date();
+
+    await collections.sessions.updateOne(
+      { _id: sessionId },
+      {
+        $set: {
+          refreshTokenHash: hashToken(refreshToken),
+          lastUsedAt: now,
+          expiresAt: new Date(
+            now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+          ),
+        },
+        $setOnInsert: {
+          uid: user.uid,
+          email: user.email,
+          createdAt: now,
+          revokedAt: null,
+        },
+      },
+      { upsert: true }
+    );
+
+    const accessToken = jwt.sign(
+      {
+        uid: user.uid,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        sid: sessionId.toString(),
+      },
+      config.jwtSecret,
+      { expiresIn: config.accessTokenTtl, subject: user.uid }
+    );
+
+    return { accessToken, refreshToken, expiresIn: config.accessTokenTtl };
+  };
+
+  const revokeSessions = async (query) => {
+    const sessions = await collections.sessions
+      .find({ ...query, revokedAt: null }, { projection: { _id: 1 } })
+      .toArray();
+    if (!sessions.length) return;
+
+    const sessionIds = sessions.map((session) => session._id);
+    await collections.sessions.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    await publish("session.revoked", {
+      sessionIds: sessionIds.map((id) => id.toString()),
+    });
+  };
+
+  const setUserRole = async (email, role) => {
+    const result = await collections.users.updateOne(
+      { email },
+      { $set: { role } }
+    );
+    if (result.matchedCount > 0) {
+      await syncRoleClaim(email, role);
+      await revokeSessions({ email });
+    }
+    return result;
+  };
+
+  return {
+    syncRoleClaim,
+    hashToken,
+    issueSession,
+    revokeSessions,
+    setUserRole,
+  };
+};
+
+module.exports = { createSessions };
@@ -0,0 +1,80 @@
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const { hasPermission } = require("../lib/permissions");
+
+const createAuthMiddleware = ({ collections, config }) => {
+  // Access tokens are short-lived, but each request also checks the session
+  // they belong to, so logging out or changing a role takes effect at once.
+  const verifyToken = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader?.startsWith("Bearer ")) {
+      return res.status(401).json({ message: "Unauthorized, no token" });
+    }
+    const token = authHeader.split(" ")[1];
+    let user;
+    try {
+      user = jwt.verify(token, config.jwtSecret, { algorithms: ["HS256"] });
+    } catch (err) {
+      return res.status(401).json({ message: "Unauthorized, invalid token" });
+    }
+
+    try {
+      const session =
+        ObjectId.isValid(user.sid) &&
+        (await collections.sessions.findOne(
+          { _id: new ObjectId(user.sid) },
+          { projection: { revokedAt: 1 } }
+        ));
+      if (!session || session.revokedAt) {
+        return res
+          .status(401)
+          .json({ message: "Session expired, please sign in again" });
+      }
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Failed to verify session" });
+    }
+
+    req.user = user;
+    next();
+  };
+
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res
+        .status(403)
+        .json({ message: `Forbidden: ${permission} permission required` });
+    }
+    next();
+  };
+
+  const requireSelfOrPermission =
+    (permission, getEmail) => (req, res, next) => {
+      if (
+        getEmail(req) !== req.user.email &&
+        !hasPermission(req.user, permission)
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      next();
+    };
+
+  const verifyCron = (req, res, next) => {
+    if (
+      !config.cronSecret ||
+      req.headers.authorization !== `Bearer ${config.cronSecret}`
+    ) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    next();
+  };
+
+  return {
+    verifyToken,
+    verifyCron,
+    requirePermission,
+    requireSelfOrPermission,
+  };
+};
+
+module.exports = { createAuthMiddleware };
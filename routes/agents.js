@@ -0,0 +1,312 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/schemas");
+const { AGENT_TRANSITIONS } = require("../lib/agents");
+const { TREND_UNITS } = require("../lib/agentStats");
+const { parseDateRange } = require("../lib/dateRange");
+
+const LEADERBOARD_SORTS = [
+  "assigned",
+  "approved",
+  "approvalRate",
+  "avgHoursToDecision",
+  "premiumsCollected",
+  "blogsPublished",
+];
+const PUBLIC_AGENT_PROJECTION = {
+  statusHistory: 0,
+  statusReason: 0,
+  statusChangedBy: 0,
+  requestedBy: 0,
+  approvedBy: 0,
+};
+
+const createAgentsRouter = ({
+  collections,
+  verifyToken,
+  requirePermission,
+  requireSelfOrPermission,
+  changeAgentStatus,
+  collectAgentStats,
+  agentTrend,
+}) => {
+  const router = express.Router();
+
+  router.get(
+    "/agents/all",
+    verifyToken,
+    requirePermission("agents:manage"),
+    async (req, res) => {
+      try {
+        const agents = await collections.agents.find({}).toArray();
+        res.json(agents);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch agents" });
+      }
+    }
+  );
+  router.post(
+    "/agents",
+    verifyToken,
+    validateBody("agents", { omit: ["email"] }),
+    async (req, res) => {
+      try {
+        const agentData = { ...req.body, email: req.user.email };
+
+        const existingAgent = await collections.agents.findOne({
+          email: agentData.email,
+        });
+        if (existingAgent) {
+          return res.status(409).json({
+            success: false,
+            message: "You have already submitted an agent request",
+          });
+        }
+
+        agentData.status = "pending";
+        agentData.created_at = new Date();
+        agentData.requestedBy = req.user.email;
+
+        const result = await collections.agents.insertOne(agentData);
+        res.status(201).json({
+          success: true,
+          message: "Agent request submitted",
+          insertedId: result.insertedId,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to submit agent request" });
+      }
+    }
+  );
+
+  router.get("/agents", async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 3;
+      const query = { status: "approved" };
+
+      const agents = await collections.agents
+        .find(query, { projection: PUBLIC_AGENT_PROJECTION })
+        .limit(limit)
+        .toArray();
+
+      res.json({
+        success: true,
+        data: agents,
+      });
+    } catch (err) {
+      console.error(err);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to fetch agents" });
+    }
+  });
+
+  router.get(
+    "/agents/leaderboard",
+    verifyToken,
+    requirePermission("agents:manage"),
+    async (req, res) => {
+      try {
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        const sortBy = req.query.sortBy || "premiumsCollected";
+        if (!LEADERBOARD_SORTS.includes(sortBy)) {
+          return res.status(400).json({
+            message: `sortBy must be one of ${LEADERBOARD_SORTS.join(", ")}`,
+          });
+        }
+
+        const agents = await collections.agents
+          .find({ status: "approved" })
+          .toArray();
+        const stats = await collectAgentStats(
+          agents.map((agent) => agent.email),
+          { from, to }
+        );
+
+        const leaderboard = agents
+          .map((agent) => ({
+            email: agent.email,
+            name: agent.name,
+            district: agent.district,
+            ...stats.get(agent.email),
+          }))
+          .sort((a, b) =>
+            sortBy === "avgHoursToDecision"
+              ? (a[sortBy] ?? Infinity) - (b[sortBy] ?? Infinity)
+              : b[sortBy] - a[sortBy]
+          )
+          .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+        res.json({ from, to, sortBy, leaderboard });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to build leaderboard" });
+      }
+    }
+  );
+
+  router.get(
+    "/agents/:email/stats",
+    verifyToken,
+    requireSelfOrPermission("agents:manage", (req) => req.params.email),
+    async (req, res) => {
+      try {
+        const { email } = req.params;
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        const interval = req.query.interval || "week";
+        if (!TREND_UNITS.includes(interval)) {
+          return res.status(400).json({
+            message: `interval must be one of ${TREND_UNITS.join(", ")}`,
+          });
+        }
+
+        const agent = await collections.agents.findOne({ email });
+        if (!agent) {
+          return res.status(404).json({ message: "Agent not found" });
+        }
+
+        const [stats, trend] = await Promise.all([
+          collectAgentStats([email], { from, to }),
+          agentTrend(email, { from, to }, interval),
+        ]);
+
+        res.json({
+          email,
+          name: agent.name,
+          district: agent.district,
+          from,
+          to,
+          ...stats.get(email),
+          trend,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch agent stats" });
+      }
+    }
+  );
+
+  router.patch(
+    "/agents/availability",
+    verifyToken,
+    requirePermission("applications:review"),
+    async (req, res) => {
+      try {
+        const { available } = req.body;
+        if (typeof available !== "boolean") {
+          return res
+            .status(400)
+            .json({ success: false, message: "available must be a boolean" });
+        }
+
+        const result = await collections.agents.updateOne(
+          { email: req.user.email, status: "approved" },
+          { $set: { available } }
+        );
+        if (result.matchedCount === 0) {
+          return res
+            .status(404)
+            .json({ success: false, message: "Agent not found" });
+        }
+
+        res.json({ success: true, available });
+      } catch (err) {
+        console.error(err);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to update availability" });
+      }
+    }
+  );
+
+  router.patch(
+    "/agents/:id/status",
+    verifyToken,
+    requirePermission("agents:manage"),
+    async (req, res) => {
+      try {
+        const { status, reason } = req.body;
+
+        if (!AGENT_TRANSITIONS[status]) {
+          return res
+            .status(400)
+            .json({ success: false, message: "Invalid status value" });
+        }
+
+        const agent = await collections.agents.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!agent) {
+          return res
+            .status(404)
+            .json({ success: false, message: "Agent not found" });
+        }
+
+        const { releasedCount, code, error } = await changeAgentStatus(
+          agent,
+          status,
+          { actor: req.user.email, reason }
+        );
+        if (error) {
+          return res.status(code).json({ success: false, message: error });
+        }
+
+        res.json({
+          success: true,
+          message: "Agent status updated",
+          releasedApplications: releasedCount,
+        });
+      } catch (err) {
+        console.error(err);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to update agent" });
+      }
+    }
+  );
+
+  router.delete(
+    "/agents/:id",
+    verifyToken,
+    requirePermission("agents:manage"),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const result = await collections.agents.deleteOne({
+          _id: new ObjectId(id),
+          status: { $in: ["pending", "disapproved", "demoted"] },
+        });
+
+        if (result.deletedCount === 1) {
+          res.json({
+            success: true,
+            message: "Agent deleted successfully",
+          });
+        } else {
+          res.status(404).json({
+            success: false,
+            message: "Agent not found or still active",
+          });
+        }
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({
+          success: false,
+          message: "Failed to delete agent",
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createAgentsRouter;
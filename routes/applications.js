@@ -0,0 +1,635 @@
+const crypto = require("crypto");
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  CERTIFIABLE_STATUSES,
+  normalizeStatus,
+} = require("../lib/applicationStatus");
+const { hasPermission } = require("../lib/permissions");
+const { buildCertificatePdf } = require("../lib/certificate");
+const { ageOn } = require("../lib/quote");
+const { validateBody } = require("../lib/schemas");
+
+const createApplicationsRouter = ({
+  collections,
+  config,
+  verifyToken,
+  verifyCron,
+  requirePermission,
+  requireSelfOrPermission,
+  transitionApplication,
+  recordPolicyEvent,
+  rankAgents,
+  assignApplication,
+  autoAssign,
+  rerouteStale,
+  publish,
+}) => {
+  const router = express.Router();
+
+  router.get(
+    "/all",
+    verifyToken,
+    requirePermission("applications:read_all"),
+    async (req, res) => {
+      const applications = await collections.applications.find().toArray();
+      res.send(applications);
+    }
+  );
+
+  router.get(
+    "/applications/assigned/:agentEmail",
+    verifyToken,
+    requireSelfOrPermission(
+      "applications:read_all",
+      (req) => req.params.agentEmail
+    ),
+    async (req, res) => {
+      try {
+        const { agentEmail } = req.params;
+
+        if (!agentEmail) {
+          return res.status(400).json({ error: "Agent email missing" });
+        }
+
+        const assignedCustomers = await collections.applications
+          .find({ assignedAgent: agentEmail })
+          .toArray();
+
+        res.json(assignedCustomers);
+      } catch (err) {
+        console.error("Error fetching assigned customers:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  const assignAgent = async (req, res) => {
+    try {
+      const appId = req.params.id;
+      const { agentEmail, note } = req.body;
+
+      if (!agentEmail) {
+        return res.status(400).json({ message: "Agent email is required" });
+      }
+
+      const agent = await collections.users.findOne({
+        email: agentEmail,
+        role: "agent",
+      });
+
+      if (!agent) {
+        return res.status(404).json({ message: "Agent not found" });
+      }
+
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(appId),
+      });
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      const { code, error } = await assignApplication(
+        application,
+        agentEmail,
+        { email: req.user.email, role: "admin" },
+        { note }
+      );
+      if (error) {
+        return res.status(code).json({ message: error });
+      }
+
+      res.json({
+        success: true,
+        message: "Agent assigned successfully",
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to assign agent" });
+    }
+  };
+
+  router.patch(
+    "/assign/:id",
+    verifyToken,
+    requirePermission("applications:assign"),
+    assignAgent
+  );
+
+  router.patch(
+    "/applications/assign/:id",
+    verifyToken,
+    requirePermission("applications:assign"),
+    assignAgent
+  );
+
+  router.patch(
+    "/applications/reject/:id",
+    verifyToken,
+    requirePermission("applications:reject"),
+    async (req, res) => {
+      try {
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const { code, error } = await transitionApplication(
+          application,
+          "rejected",
+          { email: req.user.email, role: "admin" },
+          { note: req.body?.note, set: { rejectedAt: new Date() } }
+        );
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        res.json({
+          success: true,
+          message: "Application rejected",
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to reject application" });
+      }
+    }
+  );
+
+  router.post(
+    "/applications",
+    verifyToken,
+    validateBody("applications"),
+    async (req, res) => {
+      try {
+        const application = req.body;
+
+        const quote = await collections.quotes.findOne({
+          _id: application.quoteId,
+          userEmail: req.user.email,
+        });
+        if (!quote) {
+          return res.status(404).json({ message: "Quote not found" });
+        }
+        if (quote.status !== "open" || quote.expiresAt < new Date()) {
+          return res
+            .status(409)
+            .json({ message: "Quote has expired or was already used" });
+        }
+        // The premium was priced for the age given when quoting, so the
+        // applicant's date of birth has to agree with it.
+        if (!application.dateOfBirth) {
+          return res.status(400).json({ message: "Date of birth is required" });
+        }
+        if (
+          ageOn(application.dateOfBirth, quote.createdAt) !== quote.input.age
+        ) {
+          return res.status(409).json({
+            message:
+              "Date of birth does not match the age on the quote, please request a new quote",
+          });
+        }
+
+        const claimed = await collections.quotes.findOneAndUpdate(
+          { _id: quote._id, status: "open", expiresAt: { $gt: new Date() } },
+          { $set: { status: "used" } }
+        );
+        if (!claimed) {
+          return res
+            .status(409)
+            .json({ message: "Quote has expired or was already used" });
+        }
+
+        application.quoteId = quote._id;
+        application.policyId = quote.policyId;
+        application.policyVersion = quote.policyVersion || 1;
+        application.premium = {
+          currency: quote.currency,
+          paymentFrequency: quote.input.paymentFrequency,
+          annualPremiumInCents: quote.annualPremiumInCents,
+          installmentAmountInCents: quote.installmentAmountInCents,
+        };
+        application.userEmail = req.user.email;
+        application.status = "pending";
+        application.applicationDate = new Date();
+        application.statusHistory = [
+          {
+            from: null,
+            to: "pending",
+            actor: req.user.email,
+            role: "customer",
+            note: null,
+            at: application.applicationDate,
+          },
+        ];
+
+        let result;
+        try {
+          result = await collections.applications.insertOne(application);
+        } catch (err) {
+          await collections.quotes.updateOne(
+            {
+              _id: quote._id,
+              status: "used",
+              applicationId: { $exists: false },
+            },
+            { $set: { status: "open" } }
+          );
+          throw err;
+        }
+        await collections.quotes.updateOne(
+          { _id: quote._id },
+          { $set: { applicationId: result.insertedId } }
+        );
+        await recordPolicyEvent(quote.policyId, "applications", {
+          at: application.applicationDate,
+        });
+
+        await publish("application.submitted", {
+          application: { ...application, _id: result.insertedId },
+        });
+
+        const assignment = await autoAssign({
+          ...application,
+          _id: result.insertedId,
+        }).catch((err) => {
+          console.error(err);
+          return {};
+        });
+        res.status(201).json({
+          insertedId: result.insertedId,
+          assignedAgent: assignment.agent?.email || null,
+        });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Failed to create application" });
+      }
+    }
+  );
+
+  router.patch(
+    "/applications/:id/status",
+    verifyToken,
+    requirePermission("applications:review"),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+        if (!status) {
+          return res
+            .status(400)
+            .json({ success: false, message: "Status is required" });
+        }
+
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(id),
+          assignedAgent: req.user.email,
+        });
+
+        if (!application) {
+          return res.status(404).json({
+            success: false,
+            message: "Application not found or not assigned to you",
+          });
+        }
+
+        const to = normalizeStatus(status);
+        const { code, error } = await transitionApplication(
+          application,
+          to,
+          { email: req.user.email, role: "agent" },
+          { note }
+        );
+        if (error) {
+          return res.status(code).json({ success: false, message: error });
+        }
+
+        res.json({
+          success: true,
+          message: "Application status updated successfully",
+        });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to update application status",
+        });
+      }
+    }
+  );
+  router.get(
+    "/applications/:id/agent-suggestions",
+    verifyToken,
+    requirePermission("applications:assign"),
+    async (req, res) => {
+      try {
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const agents = await rankAgents(application, {
+          exclude: [application.assignedAgent].filter(Boolean),
+        });
+        res.json(agents.slice(0, 5));
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to suggest agents" });
+      }
+    }
+  );
+
+  router.post(
+    "/applications/:id/auto-assign",
+    verifyToken,
+    requirePermission("applications:assign"),
+    async (req, res) => {
+      try {
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const { agent, code, error } = await autoAssign(application, {
+          exclude: [application.assignedAgent].filter(Boolean),
+        });
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        res.json({ success: true, assignedAgent: agent.email });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to assign agent" });
+      }
+    }
+  );
+
+  const rerouteStaleApplications = async (req, res) => {
+    try {
+      const { staleCount, reroutedCount } = await rerouteStale();
+      res.json({ success: true, staleCount, reroutedCount });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to reroute applications" });
+    }
+  };
+
+  router.post(
+    "/applications/reroute-stale",
+    verifyToken,
+    requirePermission("applications:assign"),
+    rerouteStaleApplications
+  );
+  router.get("/cron/reroute-stale", verifyCron, rerouteStaleApplications);
+
+  router.get("/applications", verifyToken, async (req, res) => {
+    try {
+      const email = req.query.email || req.user.email;
+      if (!email) {
+        return res.status(400).json({ message: "Email is required" });
+      }
+
+      if (
+        email !== req.user.email &&
+        !hasPermission(req.user, "applications:read_all")
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const applications = await collections.applications
+        .find({ userEmail: email })
+        .toArray();
+      res.json(applications);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to get applications" });
+    }
+  });
+
+  router.get(
+    "/applications/all",
+    verifyToken,
+    requirePermission("applications:read_all"),
+    async (req, res) => {
+      try {
+        const applications = await collections.applications.find().toArray();
+        res.json(applications);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch applications" });
+      }
+    }
+  );
+
+  router.get("/applications/:id", verifyToken, async (req, res) => {
+    try {
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      if (
+        application.userEmail !== req.user.email &&
+        !hasPermission(req.user, "applications:read_all")
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      res.json(application);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to fetch application" });
+    }
+  });
+
+  router.delete("/applications/:id", verifyToken, async (req, res) => {
+    try {
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      if (
+        application.userEmail !== req.user.email &&
+        !hasPermission(req.user, "applications:delete")
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const paymentCount = await collections.payments.countDocuments({
+        applicationId: application._id,
+      });
+      if (paymentCount > 0) {
+        return res.status(409).json({
+          message:
+            "Applications with payments cannot be deleted, cancel them instead",
+        });
+      }
+
+      const result = await collections.applications.deleteOne({
+        _id: new ObjectId(req.params.id),
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to delete application" });
+    }
+  });
+
+  // Policy numbers are sequential, so the public verify link also carries a
+  // random code; without it a policy number reveals nothing.
+  const assignPolicyNumber = async (application) => {
+    if (application.policyNumber && application.certificateCode) {
+      return application;
+    }
+
+    if (!application.policyNumber) {
+      const counter = await collections.counters.findOneAndUpdate(
+        { _id: "policyNumber" },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+      const year = new Date().getFullYear();
+      await collections.applications.updateOne(
+        { _id: application._id, policyNumber: { $exists: false } },
+        {
+          $set: {
+            policyNumber: `LN-${year}-${String(counter.seq).padStart(6, "0")}`,
+          },
+        }
+      );
+    }
+    await collections.applications.updateOne(
+      { _id: application._id, certificateCode: { $exists: false } },
+      { $set: { certificateCode: crypto.randomBytes(16).toString("hex") } }
+    );
+    return collections.applications.findOne(
+      { _id: application._id },
+      { projection: { policyNumber: 1, certificateCode: 1 } }
+    );
+  };
+
+  const maskName = (name) =>
+    String(name || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((part) => `${part[0]}${"*".repeat(Math.max(part.length - 1, 2))}`)
+      .join(" ") || null;
+
+  router.get("/applications/:id/certificate", verifyToken, async (req, res) => {
+    try {
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      if (
+        application.userEmail !== req.user.email &&
+        application.assignedAgent !== req.user.email &&
+        !hasPermission(req.user, "certificates:read_all")
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (!CERTIFIABLE_STATUSES.includes(normalizeStatus(application.status))) {
+        return res.status(409).json({
+          message: "Certificates are only available for paid policies",
+        });
+      }
+
+      const [policy, payments, quote] = await Promise.all([
+        collections.policies.findOne({
+          _id: new ObjectId(application.policyId),
+        }),
+        collections.payments
+          .find({ applicationId: application._id, status: "success" })
+          .sort({ paid_at: 1 })
+          .toArray(),
+        application.quoteId
+          ? collections.quotes.findOne({ _id: application.quoteId })
+          : null,
+      ]);
+      if (!policy) {
+        return res.status(404).json({ message: "Policy not found" });
+      }
+      const pinned = application.policyVersion
+        ? await collections.policyVersions.findOne({
+            policyId: policy._id,
+            version: application.policyVersion,
+          })
+        : null;
+
+      const { policyNumber, certificateCode } = await assignPolicyNumber(
+        application
+      );
+      const pdf = await buildCertificatePdf({
+        policyNumber,
+        verifyUrl: `${config.clientUrl}/verify/${policyNumber}?code=${certificateCode}`,
+        policy: { ...policy, ...pinned?.snapshot },
+        application: { ...application, quote: quote?.input },
+        payments,
+      });
+
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${policyNumber}.pdf"`,
+        "Content-Length": pdf.length,
+      });
+      res.send(pdf);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to generate certificate" });
+    }
+  });
+
+  router.get("/certificates/verify/:policyNumber", async (req, res) => {
+    try {
+      const { code } = req.query;
+      const application =
+        typeof code === "string" &&
+        (await collections.applications.findOne({
+          policyNumber: req.params.policyNumber,
+          certificateCode: code,
+        }));
+      if (!application) {
+        return res
+          .status(404)
+          .json({ valid: false, message: "Certificate not found" });
+      }
+
+      const policy = await collections.policies.findOne({
+        _id: new ObjectId(application.policyId),
+      });
+      const status = normalizeStatus(application.status);
+      res.json({
+        valid: CERTIFIABLE_STATUSES.includes(status),
+        policyNumber: application.policyNumber,
+        policyTitle: policy?.title,
+        holderName: maskName(application.aname || application.name),
+        status,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to verify certificate" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createApplicationsRouter;
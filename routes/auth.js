@@ -0,0 +1,101 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { ROLE_PERMISSIONS } = require("../lib/permissions");
+
+const createAuthRouter = ({
+  collections,
+  auth,
+  verifyToken,
+  issueSession,
+  revokeSessions,
+  hashToken,
+}) => {
+  const router = express.Router();
+
+  router.post("/auth/session", async (req, res) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader?.startsWith("Bearer ")) {
+      return res.status(401).json({ message: "Unauthorized, no token" });
+    }
+
+    let decodedToken;
+    try {
+      decodedToken = await auth.verifyIdToken(authHeader.split(" ")[1], true);
+    } catch (err) {
+      return res.status(401).json({ message: "Unauthorized, invalid token" });
+    }
+
+    try {
+      const user = await collections.users.findOne({
+        email: decodedToken.email,
+      });
+      const session = await issueSession({
+        uid: decodedToken.uid,
+        email: decodedToken.email,
+        name: decodedToken.name || user?.name,
+        role: user?.role || "user",
+      });
+      res.status(201).json(session);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to start session" });
+    }
+  });
+
+  router.post("/auth/refresh", async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(400).json({ message: "Refresh token is required" });
+      }
+
+      const session = await collections.sessions.findOne({
+        refreshTokenHash: hashToken(refreshToken),
+      });
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return res
+          .status(401)
+          .json({ message: "Session expired, please sign in again" });
+      }
+
+      const user = await collections.users.findOne({ email: session.email });
+      const tokens = await issueSession(
+        {
+          uid: session.uid,
+          email: session.email,
+          name: user?.name,
+          role: user?.role || "user",
+        },
+        session._id
+      );
+      res.json(tokens);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to refresh session" });
+    }
+  });
+
+  router.post("/auth/logout", verifyToken, async (req, res) => {
+    try {
+      const query = req.body?.allDevices
+        ? { email: req.user.email }
+        : { _id: new ObjectId(req.user.sid) };
+      await revokeSessions(query);
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to log out" });
+    }
+  });
+
+  router.get("/permissions", verifyToken, (req, res) => {
+    res.json({
+      role: req.user.role,
+      permissions: ROLE_PERMISSIONS[req.user.role] || [],
+    });
+  });
+
+  return router;
+};
+
+module.exports = createAuthRouter;
@@ -0,0 +1,257 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { addInstallments } = require("../lib/quote");
+const { normalizeStatus } = require("../lib/applicationStatus");
+const { hasPermission } = require("../lib/permissions");
+const { DEFAULT_GRACE_PERIOD_DAYS } = require("../lib/billing");
+
+const createBillingRouter = ({
+  collections,
+  stripe,
+  verifyToken,
+  requirePermission,
+  verifyCron,
+  lapseSchedule,
+}) => {
+  const router = express.Router();
+
+  router.post(
+    "/applications/:id/billing-schedule",
+    verifyToken,
+    async (req, res) => {
+      try {
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(req.params.id),
+          userEmail: req.user.email,
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (normalizeStatus(application.status) !== "approved") {
+          return res
+            .status(409)
+            .json({ message: "Only approved applications can be billed" });
+        }
+        if (!application.premium || !application.quoteId) {
+          return res
+            .status(400)
+            .json({ message: "Application has no quoted premium" });
+        }
+
+        const existing = await collections.billingSchedules.findOne({
+          applicationId: application._id,
+          status: { $nin: ["lapsed", "cancelled"] },
+        });
+        // A customer who left the payment page before paying the first
+        // invoice resumes it; an expired one is replaced below.
+        const pending =
+          existing?.status === "incomplete" && existing.stripeSubscriptionId
+            ? await stripe.subscriptions.retrieve(
+                existing.stripeSubscriptionId,
+                { expand: ["latest_invoice.confirmation_secret"] }
+              )
+            : null;
+        if (pending?.status === "incomplete") {
+          return res.json({
+            success: true,
+            scheduleId: existing._id,
+            clientSecret:
+              pending.latest_invoice?.confirmation_secret?.client_secret,
+          });
+        }
+        if (["incomplete_expired", "canceled"].includes(pending?.status)) {
+          await collections.billingSchedules.updateOne(
+            { _id: existing._id, status: "incomplete" },
+            { $set: { status: "cancelled", cancelledAt: new Date() } }
+          );
+        } else if (existing) {
+          return res.status(409).json({
+            message: "A billing schedule already exists for this application",
+          });
+        }
+
+        const [policy, quote, user] = await Promise.all([
+          collections.policies.findOne({ _id: application.policyId }),
+          collections.quotes.findOne({ _id: application.quoteId }),
+          collections.users.findOne({ email: req.user.email }),
+        ]);
+        if (!policy || !quote) {
+          return res.status(404).json({ message: "Policy not found" });
+        }
+
+        let stripeCustomerId = user?.stripeCustomerId;
+        if (!stripeCustomerId) {
+          const customer = await stripe.customers.create({
+            email: req.user.email,
+            name: user?.name,
+          });
+          stripeCustomerId = customer.id;
+          await collections.users.updateOne(
+            { email: req.user.email },
+            { $set: { stripeCustomerId } }
+          );
+        }
+
+        let stripeProductId = policy.stripeProductId;
+        if (!stripeProductId) {
+          const product = await stripe.products.create({
+            name: policy.title,
+            metadata: { policyId: policy._id.toString() },
+          });
+          stripeProductId = product.id;
+          await collections.policies.updateOne(
+            { _id: policy._id },
+            { $set: { stripeProductId } }
+          );
+        }
+
+        const { paymentFrequency, installmentAmountInCents, currency } =
+          application.premium;
+        const startDate = new Date();
+        const endDate = addInstallments(
+          startDate,
+          "yearly",
+          quote.input.termYears
+        );
+
+        const schedule = {
+          applicationId: application._id,
+          policyId: policy._id,
+          userEmail: req.user.email,
+          frequency: paymentFrequency,
+          currency,
+          installmentAmountInCents,
+          totalInstallments: quote.input.termYears * quote.installments,
+          installmentsPaid: 0,
+          startDate,
+          endDate,
+          nextDueDate: startDate,
+          gracePeriodDays:
+            policy.rating?.gracePeriodDays ?? DEFAULT_GRACE_PERIOD_DAYS,
+          graceEndsAt: null,
+          stripeCustomerId,
+          status: "incomplete",
+          createdAt: startDate,
+        };
+        const { insertedId } = await collections.billingSchedules.insertOne(
+          schedule
+        );
+
+        let subscription;
+        try {
+          subscription = await stripe.subscriptions.create({
+            customer: stripeCustomerId,
+            items: [
+              {
+                price_data: {
+                  currency,
+                  product: stripeProductId,
+                  unit_amount: installmentAmountInCents,
+                  recurring: {
+                    interval: paymentFrequency === "monthly" ? "month" : "year",
+                  },
+                },
+              },
+            ],
+            cancel_at: Math.floor(endDate.getTime() / 1000),
+            payment_behavior: "default_incomplete",
+            payment_settings: {
+              save_default_payment_method: "on_subscription",
+            },
+            metadata: {
+              applicationId: application._id.toString(),
+              scheduleId: insertedId.toString(),
+            },
+            expand: ["latest_invoice.confirmation_secret"],
+          });
+        } catch (err) {
+          await collections.billingSchedules.deleteOne({ _id: insertedId });
+          throw err;
+        }
+
+        await collections.billingSchedules.updateOne(
+          { _id: insertedId },
+          { $set: { stripeSubscriptionId: subscription.id } }
+        );
+
+        res.status(201).json({
+          success: true,
+          scheduleId: insertedId,
+          clientSecret:
+            subscription.latest_invoice?.confirmation_secret?.client_secret,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to create billing schedule" });
+      }
+    }
+  );
+
+  router.get("/billing-schedules", verifyToken, async (req, res) => {
+    try {
+      const schedules = await collections.billingSchedules
+        .find({ userEmail: req.user.email })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(schedules);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch billing schedules" });
+    }
+  });
+
+  router.get("/billing-schedules/:id", verifyToken, async (req, res) => {
+    try {
+      const schedule = await collections.billingSchedules.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!schedule) {
+        return res.status(404).json({ message: "Billing schedule not found" });
+      }
+      if (
+        schedule.userEmail !== req.user.email &&
+        !hasPermission(req.user, "payments:read_all")
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const installments = await collections.payments
+        .find({ scheduleId: schedule._id })
+        .sort({ installmentNumber: 1 })
+        .toArray();
+      res.json({ ...schedule, installments });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch billing schedule" });
+    }
+  });
+
+  const lapseOverdueSchedules = async (req, res) => {
+    try {
+      const overdue = await collections.billingSchedules
+        .find({ status: "past_due", graceEndsAt: { $lt: new Date() } })
+        .toArray();
+
+      for (const schedule of overdue) {
+        await lapseSchedule(schedule, "Grace period expired");
+      }
+
+      res.json({ success: true, lapsedCount: overdue.length });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to lapse schedules" });
+    }
+  };
+
+  router.post(
+    "/billing-schedules/lapse",
+    verifyToken,
+    requirePermission("billing:manage"),
+    lapseOverdueSchedules
+  );
+  router.get("/cron/billing-lapse", verifyCron, lapseOverdueSchedules);
+
+  return router;
+};
+
+module.exports = createBillingRouter;
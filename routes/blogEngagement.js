@@ -0,0 +1,293 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/schemas");
+const { hasPermission } = require("../lib/permissions");
+const {
+  MAX_COMMENT_DEPTH,
+  buildCommentTree,
+} = require("../lib/blogEngagement");
+
+const PUBLIC_COMMENT_PROJECTION = {
+  authorEmail: 0,
+  moderatedBy: 0,
+  moderatedAt: 0,
+};
+
+const createBlogEngagementRouter = ({
+  collections,
+  verifyToken,
+  checkCommentRate,
+}) => {
+  const router = express.Router();
+
+  const findPublishedBlog = (id) =>
+    collections.blogs.findOne({
+      _id: new ObjectId(id),
+      status: "published",
+    });
+
+  const canModerate = (user, blog) =>
+    blog.authorEmail === user.email || hasPermission(user, "blogs:moderate");
+
+  router.post("/blogs/:id/like", verifyToken, async (req, res) => {
+    try {
+      const blog = await findPublishedBlog(req.params.id);
+      if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+      try {
+        await collections.blogLikes.insertOne({
+          blogId: blog._id,
+          userEmail: req.user.email,
+          createdAt: new Date(),
+        });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return res.json({ success: true, liked: true });
+      }
+      await collections.blogs.updateOne(
+        { _id: blog._id },
+        { $inc: { likeCount: 1 } }
+      );
+      res.status(201).json({ success: true, liked: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to like blog" });
+    }
+  });
+
+  router.delete("/blogs/:id/like", verifyToken, async (req, res) => {
+    try {
+      const blogId = new ObjectId(req.params.id);
+      const result = await collections.blogLikes.deleteOne({
+        blogId,
+        userEmail: req.user.email,
+      });
+      if (result.deletedCount) {
+        await collections.blogs.updateOne(
+          { _id: blogId },
+          { $inc: { likeCount: -1 } }
+        );
+      }
+      res.json({ success: true, liked: false });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to unlike blog" });
+    }
+  });
+
+  router.get("/blogs/:id/comments", async (req, res) => {
+    try {
+      const blog = await findPublishedBlog(req.params.id);
+      if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+      const comments = await collections.blogComments
+        .find(
+          {
+            blogId: blog._id,
+            status: { $in: ["approved", "deleted"] },
+          },
+          { projection: PUBLIC_COMMENT_PROJECTION }
+        )
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      res.json(
+        buildCommentTree(
+          comments.map((comment) =>
+            comment.status === "deleted"
+              ? { ...comment, body: null, authorName: null }
+              : comment
+          )
+        )
+      );
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch comments" });
+    }
+  });
+
+  router.post(
+    "/blogs/:id/comments",
+    verifyToken,
+    validateBody("blogComments"),
+    async (req, res) => {
+      try {
+        const blog = await findPublishedBlog(req.params.id);
+        if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+        const { body, parentId = null } = req.body;
+        let depth = 0;
+        if (parentId) {
+          const parent = await collections.blogComments.findOne({
+            _id: parentId,
+            blogId: blog._id,
+            status: "approved",
+          });
+          if (!parent) {
+            return res
+              .status(404)
+              .json({ message: "Parent comment not found" });
+          }
+          if (parent.depth + 1 > MAX_COMMENT_DEPTH) {
+            return res
+              .status(400)
+              .json({ message: "Replies are nested too deeply" });
+          }
+          depth = parent.depth + 1;
+        }
+
+        const { code, error } = await checkCommentRate(req.user.email, body);
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        const now = new Date();
+        const approved = canModerate(req.user, blog);
+        const comment = {
+          blogId: blog._id,
+          parentId,
+          body,
+          depth,
+          authorEmail: req.user.email,
+          authorName: req.user.name || req.user.email,
+          status: approved ? "approved" : "pending",
+          createdAt: now,
+        };
+        if (approved) {
+          comment.moderatedBy = req.user.email;
+          comment.moderatedAt = now;
+        }
+
+        const result = await collections.blogComments.insertOne(comment);
+        if (approved) {
+          await collections.blogs.updateOne(
+            { _id: blog._id },
+            { $inc: { commentCount: 1 } }
+          );
+        }
+        res.status(201).json({
+          success: true,
+          insertedId: result.insertedId,
+          status: comment.status,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to post comment" });
+      }
+    }
+  );
+
+  router.get("/blogs/:id/comments/pending", verifyToken, async (req, res) => {
+    try {
+      const blog = await collections.blogs.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!blog) return res.status(404).json({ message: "Blog not found" });
+      if (!canModerate(req.user, blog)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const comments = await collections.blogComments
+        .find({ blogId: blog._id, status: "pending" })
+        .sort({ createdAt: 1 })
+        .toArray();
+      res.json(comments);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch pending comments" });
+    }
+  });
+
+  router.patch("/blog-comments/:id/status", verifyToken, async (req, res) => {
+    try {
+      const { status } = req.body;
+      if (!["approved", "rejected"].includes(status)) {
+        return res
+          .status(400)
+          .json({ message: "Status must be approved or rejected" });
+      }
+
+      const comment = await collections.blogComments.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!comment) {
+        return res.status(404).json({ message: "Comment not found" });
+      }
+      const blog = await collections.blogs.findOne({ _id: comment.blogId });
+      if (!blog || !canModerate(req.user, blog)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      if (comment.status !== "pending") {
+        return res
+          .status(409)
+          .json({ message: `Comment is already ${comment.status}` });
+      }
+
+      const result = await collections.blogComments.updateOne(
+        { _id: comment._id, status: "pending" },
+        {
+          $set: {
+            status,
+            moderatedBy: req.user.email,
+            moderatedAt: new Date(),
+          },
+        }
+      );
+      if (result.modifiedCount && status === "approved") {
+        await collections.blogs.updateOne(
+          { _id: blog._id },
+          { $inc: { commentCount: 1 } }
+        );
+      }
+
+      res.json({ success: true, status });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to moderate comment" });
+    }
+  });
+
+  router.delete("/blog-comments/:id", verifyToken, async (req, res) => {
+    try {
+      const comment = await collections.blogComments.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!comment || comment.status === "deleted") {
+        return res.status(404).json({ message: "Comment not found" });
+      }
+      const blog = await collections.blogs.findOne({ _id: comment.blogId });
+      if (
+        comment.authorEmail !== req.user.email &&
+        !(blog && canModerate(req.user, blog))
+      ) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const result = await collections.blogComments.updateOne(
+        { _id: comment._id, status: comment.status },
+        {
+          $set: {
+            status: "deleted",
+            moderatedBy: req.user.email,
+            moderatedAt: new Date(),
+          },
+        }
+      );
+      if (result.modifiedCount && comment.status === "approved") {
+        await collections.blogs.updateOne(
+          { _id: comment.blogId },
+          { $inc: { commentCount: -1 } }
+        );
+      }
+
+      res.json({ success: true, message: "Comment deleted" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to delete comment" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createBlogEngagementRouter;
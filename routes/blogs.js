@@ -0,0 +1,395 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/schemas");
+const { hasPermission } = require("../lib/permissions");
+const {
+  BLOG_TRANSITIONS,
+  EDITABLE_BLOG_STATUSES,
+  uniqueSlug,
+} = require("../lib/blogs");
+const { DAY_MS } = require("../lib/billing");
+
+const PUBLIC_BLOG_PROJECTION = { statusHistory: 0, moderationNote: 0 };
+
+const createBlogsRouter = ({
+  collections,
+  verifyToken,
+  requirePermission,
+  visitorKey,
+  recordBlogView,
+}) => {
+  const router = express.Router();
+
+  const blogRole = (user, blog) => {
+    if (hasPermission(user, "blogs:moderate")) return "moderator";
+    if (blog.authorEmail === user.email) return "author";
+    return null;
+  };
+
+  const insertWithSlug = async (blog) => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      blog.slug = await uniqueSlug(collections.blogs, blog.title);
+      try {
+        return await collections.blogs.insertOne(blog);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+    throw new Error("Could not allocate a unique slug");
+  };
+
+  router.post(
+    "/blogs",
+    verifyToken,
+    requirePermission("blogs:write"),
+    validateBody("blogs"),
+    async (req, res) => {
+      try {
+        const now = new Date();
+        const blog = {
+          ...req.body,
+          authorEmail: req.user.email,
+          authorName: req.user.name || req.user.email,
+          status: "draft",
+          createdAt: now,
+          updatedAt: now,
+          statusHistory: [
+            {
+              from: null,
+              to: "draft",
+              actor: req.user.email,
+              note: null,
+              at: now,
+            },
+          ],
+        };
+
+        const result = await insertWithSlug(blog);
+        res.status(201).json({
+          success: true,
+          insertedId: result.insertedId,
+          slug: blog.slug,
+          status: blog.status,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to create blog" });
+      }
+    }
+  );
+
+  router.get("/blogs/public", async (req, res) => {
+    try {
+      const { tag, category } = req.query;
+      const latest = parseInt(req.query.latest);
+      const page = latest ? 1 : Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(
+        Math.max(latest || parseInt(req.query.limit) || 9, 1),
+        50
+      );
+
+      const query = { status: "published" };
+      if (tag) query.tags = tag;
+      if (category) query.category = category;
+
+      const [result] = await collections.blogs
+        .aggregate([
+          { $match: query },
+          {
+            $facet: {
+              blogs: [
+                { $sort: { publishDate: -1, _id: -1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                { $project: { ...PUBLIC_BLOG_PROJECTION, content: 0 } },
+              ],
+              total: [{ $count: "count" }],
+            },
+          },
+        ])
+        .toArray();
+      const [tags, categories] = await Promise.all([
+        collections.blogs.distinct("tags", { status: "published" }),
+        collections.blogs.distinct("category", { status: "published" }),
+      ]);
+
+      res.json({
+        blogs: result.blogs,
+        total: result.total[0]?.count || 0,
+        page,
+        limit,
+        tags,
+        categories: categories.filter(Boolean),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch blogs" });
+    }
+  });
+
+  router.get("/blogs/public/most-read", async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+      const days = parseInt(req.query.days);
+
+      let blogs;
+      if (days > 0) {
+        const since = new Date(Date.now() - days * DAY_MS);
+        blogs = await collections.blogViewDays
+          .aggregate([
+            { $match: { day: { $gte: since } } },
+            { $group: { _id: "$blogId", recentViews: { $sum: "$views" } } },
+            { $sort: { recentViews: -1 } },
+            {
+              $lookup: {
+                from: "blogs",
+                localField: "_id",
+                foreignField: "_id",
+                pipeline: [
+                  { $match: { status: "published" } },
+                  { $project: { ...PUBLIC_BLOG_PROJECTION, content: 0 } },
+                ],
+                as: "blog",
+              },
+            },
+            { $unwind: "$blog" },
+            { $limit: limit },
+            {
+              $replaceRoot: {
+                newRoot: {
+                  $mergeObjects: ["$blog", { recentViews: "$recentViews" }],
+                },
+              },
+            },
+          ])
+          .toArray();
+      } else {
+        blogs = await collections.blogs
+          .find(
+            { status: "published" },
+            { projection: { ...PUBLIC_BLOG_PROJECTION, content: 0 } }
+          )
+          .sort({ viewCount: -1, publishDate: -1 })
+          .limit(limit)
+          .toArray();
+      }
+
+      res.json(blogs);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch most read blogs" });
+    }
+  });
+
+  router.get("/blogs/public/:slug", async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const blog = await collections.blogs.findOne(
+        {
+          status: "published",
+          $or: [
+            { slug },
+            ...(ObjectId.isValid(slug) ? [{ _id: new ObjectId(slug) }] : []),
+          ],
+        },
+        { projection: PUBLIC_BLOG_PROJECTION }
+      );
+      if (!blog) {
+        return res.status(404).json({ message: "Blog not found" });
+      }
+      recordBlogView(blog, visitorKey(req)).catch(console.error);
+      res.json(blog);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch blog" });
+    }
+  });
+
+  router.get("/blogs", verifyToken, async (req, res) => {
+    try {
+      const { status } = req.query;
+      let query = { status: "published" };
+
+      if (hasPermission(req.user, "blogs:moderate")) {
+        query = status ? { status } : {};
+      } else if (hasPermission(req.user, "blogs:write")) {
+        query = { authorEmail: req.user.email };
+        if (status) query.status = status;
+      }
+
+      const blogs = await collections.blogs
+        .find(query)
+        .sort({ updatedAt: -1, publishDate: -1 })
+        .toArray();
+      res.json(blogs);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch blogs" });
+    }
+  });
+
+  router.get("/blogs/:id", verifyToken, async (req, res) => {
+    try {
+      const blogId = req.params.id;
+      const blog = await collections.blogs.findOne({
+        _id: new ObjectId(blogId),
+      });
+
+      if (!blog || (blog.status !== "published" && !blogRole(req.user, blog))) {
+        return res.status(404).json({ message: "Blog not found" });
+      }
+
+      res.json(blog);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch blog" });
+    }
+  });
+
+  router.patch(
+    "/blogs/:id",
+    verifyToken,
+    validateBody("blogs", { partial: true }),
+    async (req, res) => {
+      try {
+        if (!Object.keys(req.body).length) {
+          return res.status(400).json({ message: "Nothing to update" });
+        }
+
+        const blog = await collections.blogs.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+        const role = blogRole(req.user, blog);
+        if (!role) {
+          return res
+            .status(403)
+            .json({ message: "Forbidden: Cannot edit others' blogs" });
+        }
+        if (!EDITABLE_BLOG_STATUSES[role].includes(blog.status)) {
+          return res
+            .status(409)
+            .json({ message: `A ${blog.status} blog cannot be edited` });
+        }
+
+        const update = { ...req.body, updatedAt: new Date() };
+        if (req.body.title && blog.status !== "published") {
+          update.slug = await uniqueSlug(
+            collections.blogs,
+            req.body.title,
+            blog._id
+          );
+        }
+
+        const result = await collections.blogs.updateOne(
+          { _id: blog._id, status: blog.status },
+          { $set: update }
+        );
+        if (result.matchedCount === 0) {
+          return res
+            .status(409)
+            .json({ message: "Blog changed, please retry" });
+        }
+
+        res.json({ success: true, message: "Blog updated", slug: update.slug });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to update blog" });
+      }
+    }
+  );
+
+  router.patch("/blogs/:id/status", verifyToken, async (req, res) => {
+    try {
+      const { status, note } = req.body;
+      const blog = await collections.blogs.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!blog) return res.status(404).json({ message: "Blog not found" });
+
+      const role = blogRole(req.user, blog);
+      if (!role) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const from = blog.status;
+      const allowedRoles = BLOG_TRANSITIONS[from]?.[status];
+      if (!allowedRoles) {
+        return res
+          .status(409)
+          .json({ message: `Cannot move blog from ${from} to ${status}` });
+      }
+      if (!allowedRoles.includes(role)) {
+        return res.status(403).json({
+          message: `Only a ${allowedRoles.join(
+            " or "
+          )} can move a blog from ${from} to ${status}`,
+        });
+      }
+
+      const now = new Date();
+      const set = { status, updatedAt: now };
+      if (role === "moderator") {
+        set.reviewedBy = req.user.email;
+        set.reviewedAt = now;
+        set.moderationNote = note || null;
+      }
+      if (status === "published") set.publishDate = now;
+
+      const result = await collections.blogs.updateOne(
+        { _id: blog._id, status: from },
+        {
+          $set: set,
+          $push: {
+            statusHistory: {
+              from,
+              to: status,
+              actor: req.user.email,
+              note: note || null,
+              at: now,
+            },
+          },
+        }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ message: "Blog changed, please retry" });
+      }
+
+      res.json({ success: true, status });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to update blog status" });
+    }
+  });
+
+  router.delete(
+    "/blogs/:id",
+    verifyToken,
+    requirePermission("blogs:write"),
+    async (req, res) => {
+      try {
+        const blogId = req.params.id;
+
+        const blog = await collections.blogs.findOne({
+          _id: new ObjectId(blogId),
+        });
+        if (!blog) return res.status(404).json({ message: "Blog not found" });
+        if (blog.authorEmail !== req.user.email)
+          return res
+            .status(403)
+            .json({ message: "Forbidden: Cannot delete others' blogs" });
+
+        await collections.blogs.deleteOne({ _id: new ObjectId(blogId) });
+        res.json({ success: true, message: "Blog deleted successfully" });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to delete blog" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createBlogsRouter;
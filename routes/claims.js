@@ -0,0 +1,448 @@
+const express = require("express");
+const { ObjectId, GridFSBucket } = require("mongodb");
+const {
+  CERTIFIABLE_STATUSES,
+  normalizeStatus,
+} = require("../lib/applicationStatus");
+const { hasPermission } = require("../lib/permissions");
+const { CLAIM_TRANSITIONS, receiveClaimDocuments } = require("../lib/claims");
+
+const createClaimsRouter = ({
+  db,
+  collections,
+  verifyToken,
+  requirePermission,
+}) => {
+  const router = express.Router();
+
+  const claimDocuments = new GridFSBucket(db, {
+    bucketName: "claimDocuments",
+  });
+
+  const transitionClaim = async (claim, to, actor, { note, set = {} } = {}) => {
+    const allowedRoles = CLAIM_TRANSITIONS[claim.status]?.[to];
+    if (!allowedRoles) {
+      return {
+        code: 409,
+        error: `Cannot move claim from ${claim.status} to ${to}`,
+      };
+    }
+    if (!allowedRoles.includes(actor.role)) {
+      return {
+        code: 403,
+        error: `Only ${allowedRoles.join(" or ")} can move a claim to ${to}`,
+      };
+    }
+
+    const entry = {
+      from: claim.status,
+      to,
+      actor: actor.email,
+      role: actor.role,
+      note: note || null,
+      at: new Date(),
+    };
+    const result = await collections.claims.updateOne(
+      { _id: claim._id, status: claim.status },
+      {
+        $set: { ...set, status: to, updatedAt: entry.at },
+        $push: { statusHistory: entry },
+      }
+    );
+    if (result.matchedCount === 0) {
+      return { code: 409, error: "Claim status changed, please retry" };
+    }
+    return { entry };
+  };
+
+  const uploadClaimDocument = (file, metadata) =>
+    new Promise((resolve, reject) => {
+      const stream = claimDocuments.openUploadStream(file.originalname, {
+        metadata: { ...metadata, contentType: file.mimetype },
+      });
+      stream.on("error", reject);
+      stream.on("finish", () =>
+        resolve({
+          fileId: stream.id,
+          filename: file.originalname,
+          contentType: file.mimetype,
+          size: file.size,
+        })
+      );
+      stream.end(file.buffer);
+    });
+
+  const canViewClaim = (claim, user) =>
+    claim.userEmail === user.email ||
+    claim.assignedAgent === user.email ||
+    hasPermission(user, "claims:read_all");
+
+  router.post(
+    "/claims",
+    verifyToken,
+    receiveClaimDocuments,
+    async (req, res) => {
+      try {
+        const { applicationId, reason } = req.body;
+        const amount = Number(req.body.amount);
+
+        if (!applicationId || !reason || !amount || amount <= 0) {
+          return res.status(400).json({
+            message: "Application, reason and a valid amount are required",
+          });
+        }
+
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(applicationId),
+          userEmail: req.user.email,
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (
+          !CERTIFIABLE_STATUSES.includes(normalizeStatus(application.status))
+        ) {
+          return res
+            .status(409)
+            .json({ message: "Claims can only be filed on paid policies" });
+        }
+
+        const quote = application.quoteId
+          ? await collections.quotes.findOne({ _id: application.quoteId })
+          : null;
+        const coverageAmount = quote?.input?.coverageAmount;
+        if (coverageAmount && amount > coverageAmount) {
+          return res.status(400).json({
+            message: `Claim amount cannot exceed the coverage of ${coverageAmount}`,
+          });
+        }
+
+        const documents = await Promise.all(
+          (req.files || []).map((file) =>
+            uploadClaimDocument(file, {
+              applicationId: application._id,
+              uploadedBy: req.user.email,
+            })
+          )
+        );
+
+        const now = new Date();
+        const claim = {
+          applicationId: application._id,
+          policyId: application.policyId,
+          policyNumber: application.policyNumber || null,
+          userEmail: req.user.email,
+          assignedAgent: application.assignedAgent || null,
+          reason,
+          amount,
+          documents,
+          status: "submitted",
+          statusHistory: [
+            {
+              from: null,
+              to: "submitted",
+              actor: req.user.email,
+              role: "customer",
+              note: null,
+              at: now,
+            },
+          ],
+          createdAt: now,
+          updatedAt: now,
+        };
+
+        const result = await collections.claims.insertOne(claim);
+        res.status(201).json({ success: true, insertedId: result.insertedId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to file claim" });
+      }
+    }
+  );
+
+  router.get("/claims", verifyToken, async (req, res) => {
+    try {
+      const claims = await collections.claims
+        .find({ userEmail: req.user.email })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(claims);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch claims" });
+    }
+  });
+
+  router.get(
+    "/claims/all",
+    verifyToken,
+    requirePermission("claims:read_all"),
+    async (req, res) => {
+      try {
+        const query = req.query.status ? { status: req.query.status } : {};
+        const claims = await collections.claims
+          .find(query)
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.json(claims);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch claims" });
+      }
+    }
+  );
+
+  router.get(
+    "/claims/assigned/:agentEmail",
+    verifyToken,
+    requirePermission("claims:review"),
+    async (req, res) => {
+      try {
+        const { agentEmail } = req.params;
+        if (agentEmail !== req.user.email) {
+          return res.status(403).json({ message: "Forbidden" });
+        }
+
+        const claims = await collections.claims
+          .find({ assignedAgent: agentEmail })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.json(claims);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch claims" });
+      }
+    }
+  );
+
+  router.get("/claims/:id", verifyToken, async (req, res) => {
+    try {
+      const claim = await collections.claims.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!claim) {
+        return res.status(404).json({ message: "Claim not found" });
+      }
+      if (!canViewClaim(claim, req.user)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      res.json(claim);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch claim" });
+    }
+  });
+
+  router.get("/claims/:id/documents/:fileId", verifyToken, async (req, res) => {
+    try {
+      const claim = await collections.claims.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!claim) {
+        return res.status(404).json({ message: "Claim not found" });
+      }
+      if (!canViewClaim(claim, req.user)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      const document = claim.documents.find(
+        (doc) => doc.fileId.toString() === req.params.fileId
+      );
+      if (!document) {
+        return res.status(404).json({ message: "Document not found" });
+      }
+
+      res.attachment(document.filename);
+      res.set("Content-Type", document.contentType);
+      claimDocuments
+        .openDownloadStream(document.fileId)
+        .on("error", (err) => {
+          console.error(err);
+          if (!res.headersSent) {
+            res.status(404).json({ message: "Document not found" });
+          } else {
+            res.end();
+          }
+        })
+        .pipe(res);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch document" });
+    }
+  });
+
+  router.patch(
+    "/claims/:id/review",
+    verifyToken,
+    requirePermission("claims:review"),
+    async (req, res) => {
+      try {
+        const { recommendation, note } = req.body;
+        if (!["approve", "reject"].includes(recommendation)) {
+          return res
+            .status(400)
+            .json({ message: "Recommendation must be approve or reject" });
+        }
+
+        const claim = await collections.claims.findOne({
+          _id: new ObjectId(req.params.id),
+          assignedAgent: req.user.email,
+        });
+        if (!claim) {
+          return res
+            .status(404)
+            .json({ message: "Claim not found or not assigned to you" });
+        }
+
+        const { code, error } = await transitionClaim(
+          claim,
+          "under_review",
+          { email: req.user.email, role: "agent" },
+          {
+            note,
+            set: {
+              review: {
+                recommendation,
+                note: note || null,
+                reviewedBy: req.user.email,
+                reviewedAt: new Date(),
+              },
+            },
+          }
+        );
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        res.json({ success: true, message: "Claim reviewed" });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to review claim" });
+      }
+    }
+  );
+
+  router.patch(
+    "/claims/:id/assign",
+    verifyToken,
+    requirePermission("claims:decide"),
+    async (req, res) => {
+      try {
+        const { agentEmail, note } = req.body;
+        if (!agentEmail) {
+          return res.status(400).json({ message: "Agent email is required" });
+        }
+
+        const agent = await collections.users.findOne({
+          email: agentEmail,
+          role: "agent",
+        });
+        if (!agent) {
+          return res.status(404).json({ message: "Agent not found" });
+        }
+
+        const claim = await collections.claims.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!claim) {
+          return res.status(404).json({ message: "Claim not found" });
+        }
+        if (claim.status !== "submitted") {
+          return res.status(409).json({
+            message: `Cannot reassign a claim that is ${claim.status}`,
+          });
+        }
+
+        const now = new Date();
+        const result = await collections.claims.updateOne(
+          { _id: claim._id, status: "submitted" },
+          {
+            $set: { assignedAgent: agentEmail, updatedAt: now },
+            $push: {
+              assignmentHistory: {
+                from: claim.assignedAgent || null,
+                to: agentEmail,
+                actor: req.user.email,
+                note: note || null,
+                at: now,
+              },
+            },
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res
+            .status(409)
+            .json({ message: "Claim status changed, please retry" });
+        }
+
+        res.json({ success: true, message: "Claim reassigned" });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to reassign claim" });
+      }
+    }
+  );
+
+  router.patch(
+    "/claims/:id/decision",
+    verifyToken,
+    requirePermission("claims:decide"),
+    async (req, res) => {
+      try {
+        const { decision, note } = req.body;
+        if (!["approved", "rejected"].includes(decision)) {
+          return res
+            .status(400)
+            .json({ message: "Decision must be approved or rejected" });
+        }
+
+        const claim = await collections.claims.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!claim) {
+          return res.status(404).json({ message: "Claim not found" });
+        }
+
+        const settlementAmount =
+          decision === "approved"
+            ? Number(req.body.settlementAmount ?? claim.amount)
+            : 0;
+        if (
+          decision === "approved" &&
+          (!(settlementAmount > 0) || settlementAmount > claim.amount)
+        ) {
+          return res.status(400).json({
+            message:
+              "Settlement amount must be between 0 and the claimed amount",
+          });
+        }
+
+        const { code, error } = await transitionClaim(
+          claim,
+          decision,
+          { email: req.user.email, role: "admin" },
+          {
+            note,
+            set: {
+              settlementAmount,
+              decidedBy: req.user.email,
+              decidedAt: new Date(),
+            },
+          }
+        );
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        res.json({ success: true, message: `Claim ${decision}` });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to record claim decision" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createClaimsRouter;
@@ -0,0 +1,217 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { hasPermission } = require("../lib/permissions");
+const { parseDateRange } = require("../lib/dateRange");
+const { toCsv } = require("../lib/commissions");
+
+const COMMISSION_STATUSES = ["pending", "paid"];
+
+const createCommissionsRouter = ({
+  collections,
+  verifyToken,
+  requirePermission,
+  runPayout,
+}) => {
+  const router = express.Router();
+
+  const resolveAgentEmail = (req, res, next) => {
+    const agentEmail = req.query.agentEmail || req.user.email;
+    if (
+      agentEmail === req.user.email
+        ? !hasPermission(req.user, "commissions:read")
+        : !hasPermission(req.user, "commissions:manage")
+    ) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    req.agentEmail = agentEmail;
+    next();
+  };
+
+  router.get(
+    "/commissions",
+    verifyToken,
+    resolveAgentEmail,
+    async (req, res) => {
+      try {
+        const { status } = req.query;
+        const { from, to, error } = parseDateRange(req.query, 365);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        if (status && !COMMISSION_STATUSES.includes(status)) {
+          return res.status(400).json({ message: "Invalid status filter" });
+        }
+
+        const query = {
+          agentEmail: req.agentEmail,
+          createdAt: { $gte: from, $lte: to },
+        };
+        if (status) query.status = status;
+
+        const commissions = await collections.commissions
+          .find(query)
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.json(commissions);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch commissions" });
+      }
+    }
+  );
+
+  router.get(
+    "/commissions/summary",
+    verifyToken,
+    resolveAgentEmail,
+    async (req, res) => {
+      try {
+        const { from, to, error } = parseDateRange(req.query, 365);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+
+        const [totals, monthly] = await Promise.all([
+          collections.commissions
+            .aggregate([
+              { $match: { agentEmail: req.agentEmail } },
+              {
+                $group: {
+                  _id: { status: "$status", currency: "$currency" },
+                  amountInCents: { $sum: "$amountInCents" },
+                },
+              },
+            ])
+            .toArray(),
+          collections.commissions
+            .aggregate([
+              {
+                $match: {
+                  agentEmail: req.agentEmail,
+                  createdAt: { $gte: from, $lte: to },
+                },
+              },
+              {
+                $group: {
+                  _id: {
+                    month: {
+                      $dateToString: { format: "%Y-%m", date: "$createdAt" },
+                    },
+                    kind: "$kind",
+                  },
+                  amountInCents: { $sum: "$amountInCents" },
+                },
+              },
+              { $sort: { "_id.month": 1 } },
+            ])
+            .toArray(),
+        ]);
+
+        res.json({
+          agentEmail: req.agentEmail,
+          totals: totals.map(({ _id, amountInCents }) => ({
+            ..._id,
+            amountInCents,
+          })),
+          monthly: monthly.map(({ _id, amountInCents }) => ({
+            ..._id,
+            amountInCents,
+          })),
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch commission summary" });
+      }
+    }
+  );
+
+  router.post(
+    "/commission-payouts",
+    verifyToken,
+    requirePermission("commissions:manage"),
+    async (req, res) => {
+      try {
+        const periodEnd = req.body.periodEnd
+          ? new Date(req.body.periodEnd)
+          : new Date();
+        if (isNaN(periodEnd) || periodEnd > new Date()) {
+          return res
+            .status(400)
+            .json({ message: "periodEnd must be a past date" });
+        }
+
+        const payout = await runPayout({ periodEnd, actor: req.user.email });
+        if (!payout) {
+          return res
+            .status(409)
+            .json({ message: "No pending commissions to pay out" });
+        }
+        res.status(201).json(payout);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to run commission payout" });
+      }
+    }
+  );
+
+  router.get(
+    "/commission-payouts",
+    verifyToken,
+    requirePermission("commissions:manage"),
+    async (req, res) => {
+      try {
+        const payouts = await collections.commissionPayouts
+          .find({})
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.json(payouts);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch payouts" });
+      }
+    }
+  );
+
+  router.get(
+    "/commission-payouts/:id/export",
+    verifyToken,
+    requirePermission("commissions:manage"),
+    async (req, res) => {
+      try {
+        const payout = await collections.commissionPayouts.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!payout) {
+          return res.status(404).json({ message: "Payout not found" });
+        }
+
+        const agents = await collections.agents
+          .find({ email: { $in: payout.lines.map((line) => line.agentEmail) } })
+          .toArray();
+        const names = new Map(agents.map((agent) => [agent.email, agent.name]));
+
+        const csv = toCsv(
+          ["agentEmail", "agentName", "currency", "amount", "entryCount"],
+          payout.lines.map((line) => ({
+            ...line,
+            agentName: names.get(line.agentEmail),
+            amount: (line.amountInCents / 100).toFixed(2),
+          }))
+        );
+
+        res.set({
+          "Content-Type": "text/csv",
+          "Content-Disposition": `attachment; filename="payout-${payout._id}.csv"`,
+        });
+        res.send(csv);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to export payout" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createCommissionsRouter;
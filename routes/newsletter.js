@@ -0,0 +1,257 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/schemas");
+const { DAY_MS } = require("../lib/billing");
+const { SEND_LOCK_MS } = require("../lib/newsletter");
+
+const createNewsletterRouter = ({
+  collections,
+  config,
+  verifyToken,
+  verifyCron,
+  requirePermission,
+  hashToken,
+  verifyUnsubscribe,
+  issueConfirmation,
+  buildCampaignContent,
+  queueCampaign,
+  drainCampaigns,
+}) => {
+  const router = express.Router();
+
+  router.post("/subscribe", validateBody("subscribers"), async (req, res) => {
+    try {
+      const { name, email } = req.body;
+
+      const existingSubscriber =
+        await collections.newsletterSubscribers.findOne({ email });
+      if (existingSubscriber?.status === "active") {
+        return res
+          .status(409)
+          .json({ message: "This email is already subscribed" });
+      }
+
+      let subscriber = existingSubscriber;
+      if (subscriber) {
+        await collections.newsletterSubscribers.updateOne(
+          { _id: subscriber._id },
+          { $set: { name, status: "pending", active: false } }
+        );
+      } else {
+        subscriber = {
+          name,
+          email,
+          subscribedAt: new Date(),
+          status: "pending",
+          active: false,
+        };
+        const result = await collections.newsletterSubscribers.insertOne(
+          subscriber
+        );
+        subscriber._id = result.insertedId;
+      }
+
+      await issueConfirmation({ ...subscriber, name });
+      res.status(202).json({
+        success: true,
+        message: "Please check your inbox to confirm your subscription",
+      });
+    } catch (error) {
+      console.error("Subscription error:", error);
+      res.status(500).json({ message: "Failed to process subscription" });
+    }
+  });
+
+  router.get("/subscribe/confirm", async (req, res) => {
+    try {
+      const { token } = req.query;
+      const result = await collections.newsletterSubscribers.updateOne(
+        {
+          confirmTokenHash: hashToken(String(token || "")),
+          confirmExpiresAt: { $gt: new Date() },
+        },
+        {
+          $set: { status: "active", active: true, confirmedAt: new Date() },
+          $unset: { confirmTokenHash: "", confirmExpiresAt: "" },
+        }
+      );
+      const status = result.modifiedCount ? "confirmed" : "invalid";
+      res.redirect(`${config.clientUrl}/newsletter?status=${status}`);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to confirm subscription" });
+    }
+  });
+
+  const unsubscribe = async (req) => {
+    const id = req.query.id;
+    if (!ObjectId.isValid(id) || !verifyUnsubscribe(id, req.query.sig)) {
+      return false;
+    }
+    await collections.newsletterSubscribers.updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          status: "unsubscribed",
+          active: false,
+          unsubscribedAt: new Date(),
+        },
+      }
+    );
+    return true;
+  };
+
+  router.get("/unsubscribe", async (req, res) => {
+    try {
+      const status = (await unsubscribe(req)) ? "unsubscribed" : "invalid";
+      res.redirect(`${config.clientUrl}/newsletter?status=${status}`);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to unsubscribe" });
+    }
+  });
+
+  router.post("/unsubscribe", async (req, res) => {
+    try {
+      if (!(await unsubscribe(req))) {
+        return res.status(400).json({ message: "Invalid unsubscribe link" });
+      }
+      res.json({ success: true, message: "You have been unsubscribed" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to unsubscribe" });
+    }
+  });
+
+  router.post(
+    "/campaigns",
+    verifyToken,
+    requirePermission("newsletter:manage"),
+    validateBody("campaigns"),
+    async (req, res) => {
+      try {
+        const campaign = req.body;
+        if (campaign.type === "custom" && !campaign.html) {
+          return res
+            .status(400)
+            .json({ message: "Custom campaigns need html content" });
+        }
+        campaign.since = campaign.since || new Date(Date.now() - 7 * DAY_MS);
+
+        const content = await buildCampaignContent(campaign);
+        if (!content) {
+          return res
+            .status(409)
+            .json({ message: "Nothing new to include in this digest" });
+        }
+
+        const doc = {
+          ...campaign,
+          ...content,
+          status: "draft",
+          createdBy: req.user.email,
+          createdAt: new Date(),
+        };
+        const result = await collections.campaigns.insertOne(doc);
+        res.status(201).json({ ...doc, _id: result.insertedId });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Failed to create campaign" });
+      }
+    }
+  );
+
+  router.get(
+    "/campaigns",
+    verifyToken,
+    requirePermission("newsletter:manage"),
+    async (req, res) => {
+      try {
+        const campaigns = await collections.campaigns
+          .find({}, { projection: { html: 0, text: 0 } })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.json(campaigns);
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Failed to fetch campaigns" });
+      }
+    }
+  );
+
+  router.get(
+    "/campaigns/:id",
+    verifyToken,
+    requirePermission("newsletter:manage"),
+    async (req, res) => {
+      try {
+        const campaign = await collections.campaigns.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!campaign) {
+          return res.status(404).json({ message: "Campaign not found" });
+        }
+
+        const deliveries = await collections.campaignDeliveries
+          .find({ campaignId: campaign._id })
+          .sort({ email: 1 })
+          .toArray();
+        res.json({ ...campaign, deliveries });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Failed to fetch campaign" });
+      }
+    }
+  );
+
+  router.post(
+    "/campaigns/:id/send",
+    verifyToken,
+    requirePermission("newsletter:manage"),
+    async (req, res) => {
+      try {
+        const now = new Date();
+        const campaign = await collections.campaigns.findOneAndUpdate(
+          {
+            _id: new ObjectId(req.params.id),
+            $or: [
+              { status: { $in: ["draft", "partially_sent"] } },
+              {
+                status: "sending",
+                sendStartedAt: { $lt: new Date(now.getTime() - SEND_LOCK_MS) },
+              },
+            ],
+          },
+          { $set: { status: "sending", sendStartedAt: now } },
+          { returnDocument: "after" }
+        );
+        if (!campaign) {
+          return res
+            .status(409)
+            .json({ message: "Campaign not found or already sending" });
+        }
+
+        const stats = await queueCampaign(campaign);
+        setImmediate(() => drainCampaigns().catch(console.error));
+        res.status(202).json({ success: true, status: "sending", stats });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Failed to send campaign" });
+      }
+    }
+  );
+
+  router.get("/cron/campaigns", verifyCron, async (req, res) => {
+    try {
+      const sentCount = await drainCampaigns();
+      res.json({ success: true, sentCount });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to deliver campaigns" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createNewsletterRouter;
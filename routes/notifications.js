@@ -0,0 +1,126 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/schemas");
+const { DEFAULT_PREFERENCES } = require("../lib/notifications");
+
+const createNotificationsRouter = ({
+  collections,
+  verifyToken,
+  verifyCron,
+  drainNotifications,
+}) => {
+  const router = express.Router();
+
+  router.get("/cron/notifications", verifyCron, async (req, res) => {
+    try {
+      const deliveredCount = await drainNotifications();
+      res.json({ success: true, deliveredCount });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to deliver notifications" });
+    }
+  });
+
+  router.get("/notifications", verifyToken, async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const query = { userEmail: req.user.email };
+      if (req.query.unread === "true") query.read = false;
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        collections.notifications
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        collections.notifications.countDocuments(query),
+        collections.notifications.countDocuments({
+          userEmail: req.user.email,
+          read: false,
+        }),
+      ]);
+
+      res.json({ notifications, total, unreadCount, page, limit });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch notifications" });
+    }
+  });
+
+  router.patch("/notifications/read-all", verifyToken, async (req, res) => {
+    try {
+      const result = await collections.notifications.updateMany(
+        { userEmail: req.user.email, read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      res.json({ success: true, updated: result.modifiedCount });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to update notifications" });
+    }
+  });
+
+  router.patch("/notifications/:id/read", verifyToken, async (req, res) => {
+    try {
+      const result = await collections.notifications.updateOne(
+        { _id: new ObjectId(req.params.id), userEmail: req.user.email },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ message: "Notification not found" });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to update notification" });
+    }
+  });
+
+  router.get("/notifications/preferences", verifyToken, async (req, res) => {
+    try {
+      const user = await collections.users.findOne(
+        { email: req.user.email },
+        { projection: { notificationPreferences: 1 } }
+      );
+      res.json({ ...DEFAULT_PREFERENCES, ...user?.notificationPreferences });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch preferences" });
+    }
+  });
+
+  router.put(
+    "/notifications/preferences",
+    verifyToken,
+    (req, res, next) => {
+      req.body = { notificationPreferences: req.body };
+      next();
+    },
+    validateBody("users", { partial: true }),
+    async (req, res) => {
+      try {
+        const preferences = {
+          ...DEFAULT_PREFERENCES,
+          ...req.body.notificationPreferences,
+        };
+        const result = await collections.users.updateOne(
+          { email: req.user.email },
+          { $set: { notificationPreferences: preferences } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        res.json(preferences);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to update preferences" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createNotificationsRouter;
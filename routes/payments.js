@@ -0,0 +1,725 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { addInstallments } = require("../lib/quote");
+const {
+  APPLICATION_TRANSITIONS,
+  SYSTEM_ACTOR,
+  normalizeStatus,
+} = require("../lib/applicationStatus");
+const { DAY_MS } = require("../lib/billing");
+
+const REFUND_TYPES = ["full", "prorated", "none"];
+
+const createPaymentsRouter = ({
+  collections,
+  stripe,
+  config,
+  verifyToken,
+  requirePermission,
+  transitionApplication,
+  advanceApplication,
+  lapseSchedule,
+  recordCommission,
+  reverseCommissions,
+  publish,
+}) => {
+  const router = express.Router();
+
+  router.post("/create-payment-intent", verifyToken, async (req, res) => {
+    try {
+      const { applicationId } = req.body;
+      if (!applicationId) {
+        return res.status(400).json({ message: "Application id is required" });
+      }
+
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(applicationId),
+        userEmail: req.user.email,
+      });
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+      if (normalizeStatus(application.status) !== "approved") {
+        return res
+          .status(409)
+          .json({ message: "Only approved applications can be paid" });
+      }
+      if (!application.premium?.installmentAmountInCents) {
+        return res
+          .status(400)
+          .json({ message: "Application has no quoted premium" });
+      }
+
+      const quote = await collections.quotes.findOne({
+        _id: application.quoteId,
+      });
+      if (!quote) {
+        return res.status(404).json({ message: "Quote not found" });
+      }
+      if (quote.input.termYears * quote.installments > 1) {
+        return res.status(409).json({
+          message:
+            "This policy is paid in installments, set up a billing schedule instead",
+        });
+      }
+
+      const { installmentAmountInCents, currency } = application.premium;
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: installmentAmountInCents,
+        currency,
+        payment_method_types: ["card"],
+        metadata: { applicationId: application._id.toString() },
+      });
+
+      res.json({
+        clientSecret: paymentIntent.client_secret,
+        amountInCents: installmentAmountInCents,
+        currency,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  const findScheduleForInvoice = (invoice) => {
+    const subscriptionId = invoice.parent?.subscription_details?.subscription;
+    if (!subscriptionId) return null;
+    return collections.billingSchedules.findOne({
+      stripeSubscriptionId: subscriptionId,
+    });
+  };
+
+  const paymentHandlers = {
+    "payment_intent.succeeded": async (paymentIntent) => {
+      const applicationId = paymentIntent.metadata?.applicationId;
+      if (!applicationId) return;
+
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(applicationId),
+      });
+      if (!application) return;
+
+      await collections.payments.updateOne(
+        { transactionId: paymentIntent.id },
+        {
+          $set: {
+            email: application.userEmail,
+            amount: paymentIntent.amount_received / 100,
+            currency: paymentIntent.currency,
+            applicationId: application._id,
+            status: "success",
+            paid_at: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      await advanceApplication(application, ["paid", "active"], SYSTEM_ACTOR, {
+        note: `Payment ${paymentIntent.id} succeeded`,
+        set: { paymentStatus: "paid" },
+      });
+      const payment = await collections.payments.findOne({
+        transactionId: paymentIntent.id,
+      });
+      await recordCommission(payment, application);
+      await publish("payment.succeeded", { payment, application });
+    },
+
+    "payment_intent.payment_failed": async (paymentIntent) => {
+      const applicationId = paymentIntent.metadata?.applicationId;
+      if (!applicationId) return;
+
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(applicationId),
+      });
+      if (!application) return;
+
+      const existing = await collections.payments.findOne({
+        transactionId: paymentIntent.id,
+      });
+      if (existing?.status === "success") return;
+
+      await collections.payments.updateOne(
+        { transactionId: paymentIntent.id },
+        {
+          $set: {
+            email: application.userEmail,
+            amount: paymentIntent.amount / 100,
+            currency: paymentIntent.currency,
+            applicationId: application._id,
+            status: "failed",
+            failureMessage: paymentIntent.last_payment_error?.message || null,
+            failed_at: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      if (application.paymentStatus !== "paid") {
+        await collections.applications.updateOne(
+          { _id: application._id },
+          { $set: { paymentStatus: "failed" } }
+        );
+      }
+    },
+
+    "charge.refunded": async (charge) => {
+      if (!charge.payment_intent) return;
+
+      const payment = await collections.payments.findOne({
+        $or: [
+          { transactionId: charge.payment_intent },
+          { paymentIntentId: charge.payment_intent },
+        ],
+      });
+      if (!payment) return;
+
+      const status = charge.refunded ? "refunded" : "partially_refunded";
+      await collections.payments.updateOne(
+        { _id: payment._id },
+        {
+          $set: {
+            status,
+            refundedAmount: charge.amount_refunded / 100,
+            refunded_at: new Date(),
+          },
+        }
+      );
+      await collections.applications.updateOne(
+        { _id: payment.applicationId },
+        { $set: { paymentStatus: status } }
+      );
+      await reverseCommissions({
+        ...payment,
+        refundedAmount: charge.amount_refunded / 100,
+      });
+    },
+
+    "invoice.paid": async (invoice) => {
+      const schedule = await findScheduleForInvoice(invoice);
+      if (!schedule) return;
+
+      const installmentNumber = schedule.installmentsPaid + 1;
+      const paidAt = new Date();
+
+      await collections.payments.updateOne(
+        { transactionId: invoice.id },
+        {
+          $set: {
+            email: schedule.userEmail,
+            amount: invoice.amount_paid / 100,
+            currency: invoice.currency,
+            applicationId: schedule.applicationId,
+            scheduleId: schedule._id,
+            installmentNumber,
+            dueDate: schedule.nextDueDate,
+            status: "success",
+            paid_at: paidAt,
+          },
+        },
+        { upsert: true }
+      );
+
+      const completed = installmentNumber >= schedule.totalInstallments;
+      await collections.billingSchedules.updateOne(
+        { _id: schedule._id },
+        {
+          $set: {
+            status: completed ? "completed" : "active",
+            installmentsPaid: installmentNumber,
+            lastPaidAt: paidAt,
+            nextDueDate: completed
+              ? null
+              : addInstallments(schedule.nextDueDate, schedule.frequency),
+            graceEndsAt: null,
+          },
+        }
+      );
+      const application = await collections.applications.findOne({
+        _id: schedule.applicationId,
+      });
+      await collections.applications.updateOne(
+        { _id: schedule.applicationId },
+        { $set: { paymentStatus: "paid" } }
+      );
+      await advanceApplication(application, ["paid", "active"], SYSTEM_ACTOR, {
+        note: `Installment ${installmentNumber} paid`,
+      });
+      const payment = await collections.payments.findOne({
+        transactionId: invoice.id,
+      });
+      await recordCommission(payment, application);
+      await publish("payment.succeeded", { payment, application });
+    },
+
+    "invoice.payment_failed": async (invoice) => {
+      const schedule = await findScheduleForInvoice(invoice);
+      if (!schedule || schedule.status === "lapsed") return;
+
+      const existing = await collections.payments.findOne({
+        transactionId: invoice.id,
+      });
+      if (existing?.status === "success") return;
+
+      await collections.payments.updateOne(
+        { transactionId: invoice.id },
+        {
+          $set: {
+            email: schedule.userEmail,
+            amount: invoice.amount_due / 100,
+            currency: invoice.currency,
+            applicationId: schedule.applicationId,
+            scheduleId: schedule._id,
+            installmentNumber: schedule.installmentsPaid + 1,
+            dueDate: schedule.nextDueDate,
+            status: "failed",
+            failed_at: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      // The first invoice is retried from the billing-schedule route while
+      // the subscription is incomplete; no grace period has started yet.
+      if (schedule.status === "incomplete") return;
+
+      const graceEndsAt =
+        schedule.graceEndsAt ||
+        new Date(
+          new Date(schedule.nextDueDate).getTime() +
+            schedule.gracePeriodDays * DAY_MS
+        );
+      if (graceEndsAt < new Date()) {
+        await lapseSchedule(schedule, "Grace period expired");
+        return;
+      }
+      await collections.billingSchedules.updateOne(
+        { _id: schedule._id },
+        { $set: { status: "past_due", graceEndsAt } }
+      );
+      await collections.applications.updateOne(
+        { _id: schedule.applicationId },
+        { $set: { paymentStatus: "past_due" } }
+      );
+    },
+
+    "customer.subscription.deleted": async (subscription) => {
+      const schedule = await collections.billingSchedules.findOne({
+        stripeSubscriptionId: subscription.id,
+      });
+      if (
+        !schedule ||
+        ["lapsed", "completed", "cancelled"].includes(schedule.status)
+      ) {
+        return;
+      }
+
+      if (schedule.installmentsPaid >= schedule.totalInstallments) {
+        await collections.billingSchedules.updateOne(
+          { _id: schedule._id },
+          { $set: { status: "completed", nextDueDate: null } }
+        );
+      } else {
+        await lapseSchedule(schedule, "Subscription ended before the term");
+      }
+    },
+  };
+
+  router.post("/webhooks/stripe", async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        config.stripeWebhookSecret
+      );
+    } catch (err) {
+      console.error("Stripe signature verification failed:", err.message);
+      return res.status(400).json({ message: "Invalid signature" });
+    }
+
+    const handler = paymentHandlers[event.type];
+    if (!handler) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    try {
+      await collections.stripeEvents.insertOne({
+        _id: event.id,
+        type: event.type,
+        receivedAt: new Date(),
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.json({ received: true, duplicate: true });
+      }
+      console.error(err);
+      return res.status(500).json({ message: "Failed to record event" });
+    }
+
+    try {
+      await handler(event.data.object);
+      await collections.stripeEvents.updateOne(
+        { _id: event.id },
+        { $set: { processedAt: new Date() } }
+      );
+      res.json({ received: true });
+    } catch (err) {
+      console.error(`Failed to process Stripe event ${event.id}:`, err);
+      await collections.stripeEvents.deleteOne({ _id: event.id });
+      res.status(500).json({ message: "Failed to process event" });
+    }
+  });
+
+  router.post("/payments/save", verifyToken, async (req, res) => {
+    try {
+      const { transactionId, applicationId } = req.body;
+      if (!transactionId || !applicationId) {
+        return res.status(400).json({ message: "All fields required" });
+      }
+
+      const application = await collections.applications.findOne({
+        _id: new ObjectId(applicationId),
+        userEmail: req.user.email,
+      });
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+
+      const payment = await collections.payments.findOne({
+        transactionId,
+        applicationId: application._id,
+      });
+      if (!payment) {
+        return res.status(202).json({
+          success: true,
+          status: "processing",
+          message: "Payment is awaiting confirmation from Stripe",
+        });
+      }
+
+      res.json({
+        success: payment.status === "success",
+        status: payment.status,
+        insertedId: payment._id,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Payment lookup failed" });
+    }
+  });
+
+  router.get("/payments", verifyToken, async (req, res) => {
+    try {
+      const payments = await collections.payments
+        .find({ email: req.user.email })
+        .sort({ paid_at: -1 })
+        .toArray();
+      res.json(payments);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to fetch payments" });
+    }
+  });
+
+  router.get(
+    "/payments/all",
+    verifyToken,
+    requirePermission("payments:read_all"),
+    async (req, res) => {
+      try {
+        const payments = await collections.payments
+          .aggregate([
+            {
+              $lookup: {
+                from: "applications",
+                localField: "applicationId",
+                foreignField: "_id",
+                as: "application",
+              },
+            },
+            { $unwind: "$application" },
+            {
+              $lookup: {
+                from: "policies",
+                localField: "application.policyId",
+                foreignField: "_id",
+                as: "policy",
+              },
+            },
+            { $unwind: "$policy" },
+            {
+              $project: {
+                _id: 1,
+                transactionId: 1,
+                email: 1,
+                amount: 1,
+                paid_at: 1,
+                status: 1,
+                policyName: "$policy.title",
+                applicantName: "$application.aname",
+              },
+            },
+            { $sort: { paid_at: -1 } },
+          ])
+          .toArray();
+
+        res.json(payments);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch all payments" });
+      }
+    }
+  );
+
+  const resolvePaymentIntentId = async (payment) => {
+    if (payment.paymentIntentId) return payment.paymentIntentId;
+    if (payment.transactionId.startsWith("pi_")) return payment.transactionId;
+
+    const { data } = await stripe.invoicePayments.list({
+      invoice: payment.transactionId,
+      status: "paid",
+      limit: 1,
+    });
+    const paymentIntent = data[0]?.payment?.payment_intent;
+    return typeof paymentIntent === "string"
+      ? paymentIntent
+      : paymentIntent?.id;
+  };
+
+  const refundableAmountInCents = (payment, frequency, refundType, now) => {
+    const remaining =
+      Math.round(payment.amount * 100) -
+      Math.round((payment.refundedAmount || 0) * 100);
+    if (refundType === "full") return remaining;
+
+    const periodStart = new Date(payment.dueDate || payment.paid_at);
+    const periodEnd = addInstallments(periodStart, frequency);
+    if (now >= periodEnd) return 0;
+
+    const unusedShare =
+      (periodEnd - Math.max(now, periodStart)) / (periodEnd - periodStart);
+    return Math.min(remaining, Math.round(payment.amount * 100 * unusedShare));
+  };
+
+  const refundApplication = async (application, cancellation, refundedBy) => {
+    const { reason, refundType, cancelledAt } = cancellation;
+
+    const schedule = await collections.billingSchedules.findOne({
+      applicationId: application._id,
+      status: { $in: ["incomplete", "active", "past_due"] },
+    });
+    if (schedule?.stripeSubscriptionId) {
+      try {
+        await stripe.subscriptions.cancel(schedule.stripeSubscriptionId);
+      } catch (err) {
+        if (err.code !== "resource_missing") throw err;
+      }
+    }
+    if (schedule) {
+      await collections.billingSchedules.updateOne(
+        { _id: schedule._id },
+        {
+          $set: {
+            status: "cancelled",
+            cancelledAt,
+            nextDueDate: null,
+          },
+        }
+      );
+    }
+
+    const payments = await collections.payments
+      .find({
+        applicationId: application._id,
+        status: { $in: ["success", "partially_refunded", "refunded"] },
+      })
+      .sort({ paid_at: -1 })
+      .toArray();
+
+    const frequency = application.premium?.paymentFrequency || "yearly";
+    const refundedInCents = (payment) =>
+      (payment.refunds || [])
+        .filter((refund) => refund.refunded_at >= cancelledAt)
+        .reduce((sum, refund) => sum + Math.round(refund.amount * 100), 0);
+
+    if (refundType !== "none") {
+      for (const payment of payments) {
+        if (refundedInCents(payment) > 0) continue;
+        const amountInCents = refundableAmountInCents(
+          payment,
+          frequency,
+          refundType,
+          cancelledAt
+        );
+        if (amountInCents <= 0) continue;
+
+        const paymentIntentId = await resolvePaymentIntentId(payment);
+        const refund = await stripe.refunds.create(
+          {
+            payment_intent: paymentIntentId,
+            amount: amountInCents,
+            reason: "requested_by_customer",
+            metadata: {
+              applicationId: application._id.toString(),
+              paymentId: payment._id.toString(),
+            },
+          },
+          { idempotencyKey: `refund-${payment._id}-${refundType}` }
+        );
+
+        const refundedAt = new Date();
+        const refundedAmount =
+          (payment.refundedAmount || 0) + amountInCents / 100;
+        const entry = {
+          refundId: refund.id,
+          amount: amountInCents / 100,
+          refundType,
+          reason,
+          refundedBy,
+          refunded_at: refundedAt,
+        };
+        await collections.payments.updateOne(
+          { _id: payment._id },
+          {
+            $set: {
+              paymentIntentId,
+              refundedAmount,
+              status:
+                refundedAmount >= payment.amount
+                  ? "refunded"
+                  : "partially_refunded",
+              refunded_at: refundedAt,
+            },
+            $push: { refunds: entry },
+          }
+        );
+        await reverseCommissions({ ...payment, refundedAmount });
+        payment.refundedAmount = refundedAmount;
+        payment.refunds = [...(payment.refunds || []), entry];
+      }
+    }
+
+    const totalRefundedInCents = payments.reduce(
+      (sum, payment) => sum + refundedInCents(payment),
+      0
+    );
+    let paymentStatus = application.paymentStatus || null;
+    if (payments.some((payment) => payment.refundedAmount > 0)) {
+      paymentStatus = payments.every(
+        (payment) => payment.refundedAmount >= payment.amount
+      )
+        ? "refunded"
+        : "partially_refunded";
+    }
+
+    await collections.applications.updateOne(
+      { _id: application._id },
+      {
+        $set: {
+          paymentStatus,
+          "cancellation.refundedAmount": totalRefundedInCents / 100,
+          "cancellation.refundStatus": "completed",
+        },
+        $unset: { "cancellation.refundError": "" },
+      }
+    );
+    return totalRefundedInCents / 100;
+  };
+
+  router.post(
+    "/applications/:id/cancel",
+    verifyToken,
+    requirePermission("payments:refund"),
+    async (req, res) => {
+      try {
+        const application = await collections.applications.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Cancellation is claimed before any money moves, so a concurrent
+        // status change cannot leave a refunded application paid or active.
+        // A cancellation whose refunds failed can be retried on this route.
+        let cancellation = application.cancellation;
+        if (
+          normalizeStatus(application.status) !== "cancelled" ||
+          cancellation?.refundStatus !== "failed"
+        ) {
+          const { reason, refundType = "prorated" } = req.body;
+          if (!reason) {
+            return res
+              .status(400)
+              .json({ message: "A cancellation reason is required" });
+          }
+          if (!REFUND_TYPES.includes(refundType)) {
+            return res.status(400).json({
+              message: "Refund type must be full, prorated or none",
+            });
+          }
+          const from = normalizeStatus(application.status);
+          if (!APPLICATION_TRANSITIONS[from]?.cancelled) {
+            return res.status(409).json({
+              message: `Cannot cancel an application that is ${from}`,
+            });
+          }
+
+          cancellation = {
+            reason,
+            refundType,
+            refundedAmount: 0,
+            refundStatus: "pending",
+            cancelledBy: req.user.email,
+            cancelledAt: new Date(),
+          };
+          const { code, error } = await transitionApplication(
+            application,
+            "cancelled",
+            { email: req.user.email, role: "admin" },
+            { note: reason, set: { cancellation } }
+          );
+          if (error) {
+            return res.status(code).json({ message: error });
+          }
+        }
+
+        let refundedAmount;
+        try {
+          refundedAmount = await refundApplication(
+            application,
+            cancellation,
+            req.user.email
+          );
+        } catch (err) {
+          console.error(err);
+          await collections.applications.updateOne(
+            { _id: application._id },
+            {
+              $set: {
+                "cancellation.refundStatus": "failed",
+                "cancellation.refundError": err.message,
+              },
+            }
+          );
+          return res.status(502).json({
+            message:
+              "Application cancelled but refunds failed, retry the cancellation to complete them",
+          });
+        }
+
+        res.json({
+          success: true,
+          message: "Application cancelled",
+          refundedAmount,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to cancel application" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createPaymentsRouter;
@@ -0,0 +1,416 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { QUOTE_VALIDITY_DAYS, calculateQuote } = require("../lib/quote");
+const { validateBody } = require("../lib/schemas");
+const { buildPolicySearch } = require("../lib/policySearch");
+const { conversionRates } = require("../lib/policyMetrics");
+const { diffSnapshots } = require("../lib/policyVersions");
+
+const createPoliciesRouter = ({
+  collections,
+  verifyToken,
+  requirePermission,
+  recordPolicyEvent,
+  recordInitialVersion,
+  activateDueVersions,
+  createPolicyVersion,
+}) => {
+  const router = express.Router();
+
+  const findPolicy = (id) =>
+    collections.policies.findOne({ _id: new ObjectId(id) });
+
+  const applyDueVersions = async (req, res, next) => {
+    try {
+      await activateDueVersions();
+    } catch (err) {
+      console.error(err);
+    }
+    next();
+  };
+
+  router.post(
+    "/policies",
+    verifyToken,
+    requirePermission("policies:write"),
+    validateBody("policies"),
+    async (req, res) => {
+      try {
+        const policy = { ...req.body, version: 1, status: "active" };
+        const result = await collections.policies.insertOne(policy);
+        await recordInitialVersion(
+          { ...policy, _id: result.insertedId },
+          req.user.email
+        );
+        res.status(201).json({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        console.error(error);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to create policy" });
+      }
+    }
+  );
+
+  router.get("/policies", applyDueVersions, async (req, res) => {
+    try {
+      const { pipeline, page, limit, error } = buildPolicySearch(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const [result] = await collections.policies.aggregate(pipeline).toArray();
+      const { policies, total, categories, ...facets } = result;
+
+      res.json({
+        policies,
+        total: total[0]?.count || 0,
+        page,
+        limit,
+        categories: categories.map((category) => category._id),
+        facets: { categories, ...facets },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to fetch policies" });
+    }
+  });
+
+  router.get("/policies/popular", applyDueVersions, async (req, res) => {
+    try {
+      const { category } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 50);
+      const query = { status: { $ne: "archived" } };
+      if (category) query.category = category;
+
+      const policies = await collections.policies
+        .find(query)
+        .sort({ purchaseCount: -1, "stats.views": -1, _id: -1 })
+        .limit(limit)
+        .toArray();
+
+      res.json(
+        policies.map((policy) => ({
+          ...policy,
+          conversion: conversionRates(policy.stats || {}),
+        }))
+      );
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to fetch popular policies" });
+    }
+  });
+
+  router.get("/policies/:id", applyDueVersions, async (req, res) => {
+    try {
+      const policy = await collections.policies.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!policy) {
+        return res.status(404).json({ message: "Policy not found" });
+      }
+      recordPolicyEvent(policy._id, "views").catch(console.error);
+      res.json(policy);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Failed to fetch policy" });
+    }
+  });
+
+  router.post("/policies/:id/quote", verifyToken, async (req, res) => {
+    try {
+      await activateDueVersions({ policyId: new ObjectId(req.params.id) });
+      const policy = await findPolicy(req.params.id);
+      if (!policy) {
+        return res.status(404).json({ message: "Policy not found" });
+      }
+      if (policy.status === "archived") {
+        return res
+          .status(409)
+          .json({ message: "This policy is no longer offered" });
+      }
+
+      const { quote, error } = calculateQuote(policy, req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const now = new Date();
+      const quoteDoc = {
+        ...quote,
+        policyId: policy._id,
+        policyVersion: policy.version || 1,
+        policyTitle: policy.title,
+        userEmail: req.user.email,
+        status: "open",
+        createdAt: now,
+        expiresAt: new Date(
+          now.getTime() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000
+        ),
+      };
+
+      const result = await collections.quotes.insertOne(quoteDoc);
+      res.status(201).json({ ...quoteDoc, _id: result.insertedId });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to calculate quote" });
+    }
+  });
+
+  router.patch(
+    "/policies/:id",
+    verifyToken,
+    requirePermission("policies:write"),
+    validateBody("policies", { partial: true }),
+    async (req, res) => {
+      try {
+        const policy = await findPolicy(req.params.id);
+        if (!policy) {
+          return res.status(404).json({ message: "Policy not found" });
+        }
+        if (policy.status === "archived") {
+          return res
+            .status(409)
+            .json({ message: "Archived policies cannot be edited" });
+        }
+
+        const { version, code, error } = await createPolicyVersion(
+          policy,
+          req.body,
+          { actor: req.user.email }
+        );
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        res.json({
+          success: true,
+          message: "Policy updated successfully",
+          version: version.version,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to update policy" });
+      }
+    }
+  );
+
+  router.post(
+    "/policies/:id/versions",
+    verifyToken,
+    requirePermission("policies:write"),
+    (req, res, next) => {
+      const { effectiveFrom, note, changes } = req.body || {};
+      const date = new Date(effectiveFrom);
+      if (!effectiveFrom || isNaN(date) || date <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "effectiveFrom must be a future date" });
+      }
+      req.scheduled = { effectiveFrom: date, note };
+      req.body = changes;
+      next();
+    },
+    validateBody("policies", { partial: true }),
+    async (req, res) => {
+      try {
+        const policy = await findPolicy(req.params.id);
+        if (!policy) {
+          return res.status(404).json({ message: "Policy not found" });
+        }
+        if (policy.status === "archived") {
+          return res
+            .status(409)
+            .json({ message: "Archived policies cannot be edited" });
+        }
+
+        const { version, code, error } = await createPolicyVersion(
+          policy,
+          req.body,
+          { ...req.scheduled, actor: req.user.email }
+        );
+        if (error) {
+          return res.status(code).json({ message: error });
+        }
+
+        res.status(201).json({
+          success: true,
+          version: version.version,
+          effectiveFrom: version.effectiveFrom,
+          changes: version.changes,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to schedule policy change" });
+      }
+    }
+  );
+
+  router.get(
+    "/policies/:id/versions",
+    verifyToken,
+    requirePermission("policies:write"),
+    async (req, res) => {
+      try {
+        const versions = await collections.policyVersions
+          .find(
+            { policyId: new ObjectId(req.params.id) },
+            { projection: { snapshot: 0 } }
+          )
+          .sort({ version: -1 })
+          .toArray();
+        res.json(versions);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch policy versions" });
+      }
+    }
+  );
+
+  router.get(
+    "/policies/:id/versions/diff",
+    verifyToken,
+    requirePermission("policies:write"),
+    async (req, res) => {
+      try {
+        const from = parseInt(req.query.from);
+        const to = parseInt(req.query.to);
+        if (!from || !to) {
+          return res
+            .status(400)
+            .json({ message: "from and to versions are required" });
+        }
+
+        const versions = await collections.policyVersions
+          .find({
+            policyId: new ObjectId(req.params.id),
+            version: { $in: [from, to] },
+          })
+          .toArray();
+        const before = versions.find((version) => version.version === from);
+        const after = versions.find((version) => version.version === to);
+        if (!before || !after) {
+          return res.status(404).json({ message: "Version not found" });
+        }
+
+        res.json({
+          from,
+          to,
+          changes: diffSnapshots(before.snapshot, after.snapshot),
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to diff policy versions" });
+      }
+    }
+  );
+
+  router.get(
+    "/policies/:id/versions/:version",
+    verifyToken,
+    requirePermission("policies:write"),
+    async (req, res) => {
+      try {
+        const version = await collections.policyVersions.findOne({
+          policyId: new ObjectId(req.params.id),
+          version: parseInt(req.params.version),
+        });
+        if (!version) {
+          return res.status(404).json({ message: "Version not found" });
+        }
+        res.json(version);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch policy version" });
+      }
+    }
+  );
+
+  router.delete(
+    "/policies/:id/versions/:version",
+    verifyToken,
+    requirePermission("policies:write"),
+    async (req, res) => {
+      try {
+        const policyId = new ObjectId(req.params.id);
+        const latest = await collections.policyVersions.findOne(
+          { policyId },
+          { sort: { version: -1 } }
+        );
+        if (
+          !latest ||
+          latest.version !== parseInt(req.params.version) ||
+          latest.status !== "scheduled"
+        ) {
+          return res.status(409).json({
+            message: "Only the latest scheduled version can be cancelled",
+          });
+        }
+
+        await collections.policyVersions.deleteOne({
+          _id: latest._id,
+          status: "scheduled",
+        });
+        res.json({ success: true, message: "Scheduled change cancelled" });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to cancel scheduled change" });
+      }
+    }
+  );
+
+  router.post(
+    "/policy-versions/activate",
+    verifyToken,
+    requirePermission("policies:write"),
+    async (req, res) => {
+      try {
+        const activatedCount = await activateDueVersions();
+        res.json({ success: true, activatedCount });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to activate policy versions" });
+      }
+    }
+  );
+
+  router.delete(
+    "/policies/:id",
+    verifyToken,
+    requirePermission("policies:write"),
+    async (req, res) => {
+      try {
+        const policyId = new ObjectId(req.params.id);
+        const result = await collections.policies.updateOne(
+          { _id: policyId, status: { $ne: "archived" } },
+          {
+            $set: {
+              status: "archived",
+              archivedAt: new Date(),
+              archivedBy: req.user.email,
+            },
+          }
+        );
+
+        if (result.matchedCount === 0) {
+          return res
+            .status(404)
+            .json({ message: "Policy not found or already archived" });
+        }
+
+        await collections.policyVersions.deleteMany({
+          policyId,
+          status: "scheduled",
+        });
+        res.json({ success: true, message: "Policy archived successfully" });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to archive policy" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createPoliciesRouter;
@@ -0,0 +1,18 @@
+const express = require("express");
+
+const createRealtimeRouter = ({ verifyToken, openStream }) => {
+  const router = express.Router();
+
+  const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  };
+
+  router.get("/events/stream", tokenFromQuery, verifyToken, openStream);
+
+  return router;
+};
+
+module.exports = createRealtimeRouter;
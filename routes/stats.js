@@ -0,0 +1,265 @@
+const express = require("express");
+const {
+  APPLICATION_TRANSITIONS,
+  normalizeStatus,
+} = require("../lib/applicationStatus");
+const { CLAIM_TRANSITIONS } = require("../lib/claims");
+const { parseDateRange } = require("../lib/dateRange");
+const { GRANULARITIES } = require("../lib/analytics");
+const { startOfDay, conversionRates } = require("../lib/policyMetrics");
+
+const analyticsKey = (section, { from, to }, ...params) =>
+  [section, from, to]
+    .map((part) =>
+      part instanceof Date ? part.toISOString().slice(0, 13) : part
+    )
+    .concat(params)
+    .join(":");
+
+const createStatsRouter = ({
+  collections,
+  verifyToken,
+  requirePermission,
+  cached,
+  timeSeries,
+  revenueBreakdown,
+  funnel,
+  cohortRetention,
+}) => {
+  const router = express.Router();
+
+  router.get(
+    "/admin-stats",
+    verifyToken,
+    requirePermission("stats:read"),
+    async (req, res) => {
+      try {
+        const [
+          totalUsers,
+          totalAgents,
+          totalPolicies,
+          totalApplications,
+          totalPayments,
+        ] = await Promise.all([
+          collections.users.countDocuments(),
+          collections.agents.countDocuments(),
+          collections.policies.countDocuments(),
+          collections.applications.countDocuments(),
+          collections.payments.countDocuments(),
+        ]);
+        const [claimCounts] = await collections.claims
+          .aggregate([
+            {
+              $facet: {
+                total: [{ $count: "count" }],
+                byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+                settled: [
+                  { $match: { status: "approved" } },
+                  {
+                    $group: {
+                      _id: null,
+                      amount: { $sum: "$settlementAmount" },
+                    },
+                  },
+                ],
+              },
+            },
+          ])
+          .toArray();
+        const claimsByStatus = Object.fromEntries(
+          Object.keys(CLAIM_TRANSITIONS).map((status) => [status, 0])
+        );
+        claimCounts.byStatus.forEach(({ _id, count }) => {
+          claimsByStatus[_id] = count;
+        });
+        const statusCounts = await collections.applications
+          .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+          .toArray();
+        const applicationsByStatus = Object.fromEntries(
+          Object.keys(APPLICATION_TRANSITIONS).map((status) => [status, 0])
+        );
+        statusCounts.forEach(({ _id, count }) => {
+          const status = normalizeStatus(_id);
+          applicationsByStatus[status] =
+            (applicationsByStatus[status] || 0) + count;
+        });
+
+        res.json({
+          totalUsers,
+          totalAgents,
+          totalPolicies,
+          totalApplications,
+          pendingApplications: applicationsByStatus.pending,
+          approvedApplications: applicationsByStatus.approved,
+          applicationsByStatus,
+          totalPayments,
+          totalClaims: claimCounts.total[0]?.count || 0,
+          claimsByStatus,
+          totalSettledAmount: claimCounts.settled[0]?.amount || 0,
+        });
+      } catch (err) {
+        console.error("Error fetching admin stats:", err);
+        res.status(500).json({ message: "Failed to fetch admin statistics" });
+      }
+    }
+  );
+
+  router.get(
+    "/admin/policy-performance",
+    verifyToken,
+    requirePermission("stats:read"),
+    async (req, res) => {
+      try {
+        const { from, to, error } = parseDateRange(req.query);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+
+        const rows = await collections.policyMetrics
+          .aggregate([
+            { $match: { day: { $gte: startOfDay(from), $lte: to } } },
+            {
+              $group: {
+                _id: "$policyId",
+                views: { $sum: "$views" },
+                applications: { $sum: "$applications" },
+                purchases: { $sum: "$purchases" },
+                premiumInCents: { $sum: "$premiumInCents" },
+              },
+            },
+            {
+              $lookup: {
+                from: "policies",
+                localField: "_id",
+                foreignField: "_id",
+                as: "policy",
+              },
+            },
+            { $unwind: { path: "$policy", preserveNullAndEmptyArrays: true } },
+            { $sort: { purchases: -1, applications: -1, views: -1 } },
+          ])
+          .toArray();
+
+        const policies = rows.map(({ _id, policy, ...counts }) => ({
+          policyId: _id,
+          title: policy?.title || null,
+          category: policy?.category || null,
+          ...counts,
+          conversion: conversionRates(counts),
+        }));
+        const totals = policies.reduce(
+          (sum, row) => ({
+            views: sum.views + row.views,
+            applications: sum.applications + row.applications,
+            purchases: sum.purchases + row.purchases,
+            premiumInCents: sum.premiumInCents + row.premiumInCents,
+          }),
+          { views: 0, applications: 0, purchases: 0, premiumInCents: 0 }
+        );
+
+        res.json({
+          from,
+          to,
+          totals: { ...totals, conversion: conversionRates(totals) },
+          policies,
+        });
+      } catch (err) {
+        console.error(err);
+        res
+          .status(500)
+          .json({ message: "Failed to fetch policy performance report" });
+      }
+    }
+  );
+
+  router.get(
+    "/admin/analytics",
+    verifyToken,
+    requirePermission("stats:read"),
+    async (req, res) => {
+      try {
+        const range = parseDateRange(req.query, 90);
+        if (range.error) {
+          return res.status(400).json({ message: range.error });
+        }
+        const granularity = req.query.granularity || "day";
+        if (!GRANULARITIES.includes(granularity)) {
+          return res.status(400).json({
+            message: `granularity must be one of ${GRANULARITIES.join(", ")}`,
+          });
+        }
+
+        const analytics = await cached(
+          analyticsKey("overview", range, granularity),
+          async () => {
+            const [series, revenue] = await Promise.all([
+              timeSeries(range, granularity),
+              revenueBreakdown(range),
+            ]);
+            return { series, revenue };
+          },
+          { refresh: req.query.refresh === "true" }
+        );
+
+        res.json({ ...range, granularity, ...analytics });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch analytics" });
+      }
+    }
+  );
+
+  router.get(
+    "/admin/analytics/funnel",
+    verifyToken,
+    requirePermission("stats:read"),
+    async (req, res) => {
+      try {
+        const range = parseDateRange(req.query, 90);
+        if (range.error) {
+          return res.status(400).json({ message: range.error });
+        }
+
+        const analytics = await cached(
+          analyticsKey("funnel", range),
+          async () => ({ steps: await funnel(range) }),
+          { refresh: req.query.refresh === "true" }
+        );
+
+        res.json({ ...range, ...analytics });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch funnel" });
+      }
+    }
+  );
+
+  router.get(
+    "/admin/analytics/cohorts",
+    verifyToken,
+    requirePermission("stats:read"),
+    async (req, res) => {
+      try {
+        const range = parseDateRange(req.query, 365);
+        if (range.error) {
+          return res.status(400).json({ message: range.error });
+        }
+
+        const analytics = await cached(
+          analyticsKey("cohorts", range),
+          async () => ({ cohorts: await cohortRetention(range) }),
+          { refresh: req.query.refresh === "true" }
+        );
+
+        res.json({ ...range, ...analytics });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch cohort retention" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createStatsRouter;
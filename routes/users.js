@@ -0,0 +1,192 @@
+const express = require("express");
+const { ROLE_PERMISSIONS, hasPermission } = require("../lib/permissions");
+const { validateBody } = require("../lib/schemas");
+
+const createUsersRouter = ({
+  collections,
+  verifyToken,
+  requirePermission,
+  requireSelfOrPermission,
+  setUserRole,
+}) => {
+  const router = express.Router();
+
+  router.get(
+    "/users/role",
+    verifyToken,
+    requireSelfOrPermission("users:manage", (req) => req.query.email),
+    async (req, res) => {
+      try {
+        const email = req.query.email;
+        if (!email)
+          return res.status(400).json({ message: "Email is required" });
+
+        const user = await collections.users.findOne({ email });
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        res.json({ role: user.role || "user" });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server error" });
+      }
+    }
+  );
+
+  router.get(
+    "/users",
+    verifyToken,
+    requireSelfOrPermission("users:manage", (req) => req.query.email),
+    async (req, res) => {
+      try {
+        const email = req.query.email;
+        if (!email) {
+          return res.status(400).json({ message: "Email is required" });
+        }
+
+        const userProfile = await collections.users.findOne({ email });
+        res.json(userProfile || {});
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to fetch user" });
+      }
+    }
+  );
+  router.get(
+    "/users/:email",
+    verifyToken,
+    requireSelfOrPermission("users:manage", (req) => req.params.email),
+    async (req, res) => {
+      try {
+        const email = req.params.email;
+        const user = await collections.users.findOne({ email });
+        if (!user) return res.status(404).json({ message: "User not found" });
+        res.json(user);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server error" });
+      }
+    }
+  );
+  router.post(
+    "/users",
+    verifyToken,
+    validateBody("users", { omit: ["role", "created_at"] }),
+    async (req, res) => {
+      try {
+        const userData = req.body;
+
+        if (userData.email !== req.user.email) {
+          return res.status(403).json({ message: "Forbidden" });
+        }
+
+        const result = await collections.users.findOneAndUpdate(
+          { email: userData.email },
+          {
+            $set: userData,
+            $setOnInsert: { role: "user", created_at: new Date() },
+          },
+          { upsert: true, returnDocument: "after" }
+        );
+
+        res.status(200).json({ success: true, data: result });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to create or update user" });
+      }
+    }
+  );
+
+  router.patch(
+    "/users/:email",
+    verifyToken,
+    validateBody("users", { partial: true, omit: ["role", "created_at"] }),
+    async (req, res) => {
+      try {
+        const email = req.params.email;
+        const updateData = req.body;
+        if (!Object.keys(updateData).length) {
+          return res.status(400).json({ message: "Nothing to update" });
+        }
+
+        if (
+          req.user.email !== email &&
+          !hasPermission(req.user, "users:manage")
+        ) {
+          return res.status(403).json({ message: "Forbidden" });
+        }
+
+        const result = await collections.users.updateOne(
+          { email },
+          { $set: updateData }
+        );
+
+        if (result.modifiedCount === 1) {
+          res.json({ success: true });
+        } else {
+          res.status(404).json({ success: false, message: "User not found" });
+        }
+      } catch (err) {
+        console.error(err);
+        res
+          .status(500)
+          .json({ success: false, message: "Failed to update user" });
+      }
+    }
+  );
+  router.put(
+    "/make-admin",
+    verifyToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      const { email } = req.body;
+      if (!email) return res.status(400).json({ message: "Email is required" });
+
+      try {
+        const result = await setUserRole(email, "admin");
+
+        if (result.modifiedCount > 0) {
+          res.json({ message: `${email} is now an admin.` });
+        } else {
+          res
+            .status(404)
+            .json({ message: "User not found or already an admin" });
+        }
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Internal server error" });
+      }
+    }
+  );
+
+  router.patch(
+    "/users/:email/role",
+    verifyToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      try {
+        const { role } = req.body;
+        if (!ROLE_PERMISSIONS[role]) {
+          return res.status(400).json({
+            message: `Role must be one of ${Object.keys(ROLE_PERMISSIONS).join(
+              ", "
+            )}`,
+          });
+        }
+
+        const result = await setUserRole(req.params.email, role);
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ message: "User not found" });
+        }
+
+        res.json({ success: true, role });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to update user role" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createUsersRouter;
@@ -0,0 +1,436 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createTestApp } = require("./support/harness");
+
+describe("createApp with injected dependencies", () => {
+  let harness;
+  let server;
+  const admin = { email: "admin@lifenest.test", name: "Admin", role: "admin" };
+  const customer = {
+    email: "customer@lifenest.test",
+    name: "Customer",
+    role: "user",
+  };
+
+  before(async () => {
+    harness = await createTestApp();
+    server = await harness.listen();
+    await harness.collections.users.insertMany([admin, customer]);
+  });
+
+  after(() => server.close());
+
+  it("serves the health route", async () => {
+    const { status, text } = await server.request("GET", "/");
+    assert.equal(status, 200);
+    assert.match(text, /running/);
+  });
+
+  it("exchanges a Firebase ID token for a server session", async () => {
+    const idToken = harness.auth.issueIdToken(customer);
+    const session = await server.request("POST", "/auth/session", {
+      token: idToken,
+    });
+    assert.equal(session.status, 201);
+    assert.ok(session.body.accessToken);
+    assert.ok(session.body.refreshToken);
+
+    const permissions = await server.request("GET", "/permissions", {
+      token: session.body.accessToken,
+    });
+    assert.equal(permissions.status, 200);
+    assert.equal(permissions.body.role, "user");
+
+    const refreshed = await server.request("POST", "/auth/refresh", {
+      body: { refreshToken: session.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+  });
+
+  it("revokes access tokens and closes live streams on logout", async () => {
+    const token = await harness.tokenFor(customer);
+    const stream = await fetch(
+      `${server.url}/events/stream?access_token=${token}`
+    );
+    assert.equal(stream.status, 200);
+    const reader = stream.body.getReader();
+    await reader.read();
+
+    const logout = await server.request("POST", "/auth/logout", { token });
+    assert.equal(logout.status, 200);
+
+    let closed = false;
+    while (!closed) ({ done: closed } = await reader.read());
+    const { status } = await server.request("GET", "/permissions", { token });
+    assert.equal(status, 401);
+  });
+
+  it("rejects the old role's token once a user's role changes", async () => {
+    const demoted = {
+      email: "demoted@lifenest.test",
+      name: "Demoted",
+      role: "admin",
+    };
+    await harness.collections.users.insertOne({ ...demoted });
+    const adminToken = await harness.tokenFor(admin);
+    const staleToken = await harness.tokenFor(demoted);
+
+    const changed = await server.request(
+      "PATCH",
+      `/users/${demoted.email}/role`,
+      { token: adminToken, body: { role: "user" } }
+    );
+    assert.equal(changed.status, 200);
+    const { status } = await server.request("GET", "/admin-stats", {
+      token: staleToken,
+    });
+    assert.equal(status, 401);
+  });
+
+  it("rejects an ID token the fake Firebase did not issue", async () => {
+    const { status } = await server.request("POST", "/auth/session", {
+      token: "forged",
+    });
+    assert.equal(status, 401);
+  });
+
+  it("creates a policy and prices a quote against the in-memory database", async () => {
+    const created = await server.request("POST", "/policies", {
+      token: await harness.tokenFor(admin),
+      body: {
+        title: "Term Life",
+        category: "life",
+        basePremiumRate: 2,
+        minAge: 18,
+        maxAge: 60,
+      },
+    });
+    assert.equal(created.status, 201);
+
+    const quote = await server.request(
+      "POST",
+      `/policies/${created.body.insertedId}/quote`,
+      {
+        token: await harness.tokenFor(customer),
+        body: { age: 30, coverageAmount: 100000, termYears: 1 },
+      }
+    );
+    assert.equal(quote.status, 201);
+    assert.equal(quote.body.annualPremiumInCents, 20000);
+    assert.equal(
+      await harness.collections.quotes.countDocuments({
+        userEmail: customer.email,
+      }),
+      1
+    );
+  });
+
+  it("filters and sorts policies by base rate and keeps open age bounds", async () => {
+    await harness.collections.policies.insertMany([
+      {
+        title: "Adult Term",
+        category: "search",
+        basePremiumRate: 4,
+        minAge: 18,
+        maxAge: 50,
+      },
+      { title: "Open Term", category: "search", rating: { baseRate: 1 } },
+      {
+        title: "Senior Term",
+        category: "search",
+        basePremiumRate: 9,
+        minAge: 60,
+      },
+    ]);
+    const search = (query) =>
+      server.request("GET", `/policies?category=search&${query}`);
+
+    const byRate = await search("sort=rate_asc&maxRate=5");
+    assert.equal(byRate.status, 200);
+    assert.deepEqual(
+      byRate.body.policies.map(({ title, baseRate }) => [title, baseRate]),
+      [
+        ["Open Term", 1],
+        ["Adult Term", 4],
+      ]
+    );
+    assert.ok(byRate.body.facets.rateRanges.length);
+
+    const byAge = await search("age=30&sort=rate_asc");
+    assert.deepEqual(
+      byAge.body.policies.map(({ title }) => title),
+      ["Open Term", "Adult Term"]
+    );
+
+    const legacy = await search("sort=price_asc");
+    assert.equal(legacy.status, 400);
+  });
+
+  it("applies only with a date of birth matching the quote, once per quote", async () => {
+    const created = await server.request("POST", "/policies", {
+      token: await harness.tokenFor(admin),
+      body: { title: "Senior Care", category: "life", basePremiumRate: 3 },
+    });
+    const token = await harness.tokenFor(customer);
+    const quote = await server.request(
+      "POST",
+      `/policies/${created.body.insertedId}/quote`,
+      { token, body: { age: 25, coverageAmount: 50000, termYears: 1 } }
+    );
+    assert.equal(quote.status, 201);
+
+    const bornYearsAgo = (years) => {
+      const date = new Date(quote.body.createdAt);
+      date.setFullYear(date.getFullYear() - years);
+      date.setDate(date.getDate() - 1);
+      return date.toISOString();
+    };
+    const apply = (dateOfBirth) =>
+      server.request("POST", "/applications", {
+        token,
+        body: { quoteId: quote.body._id, aname: "Karim", dateOfBirth },
+      });
+
+    const older = await apply(bornYearsAgo(60));
+    assert.equal(older.status, 409);
+    assert.match(older.body.message, /does not match/);
+
+    const results = await Promise.all([
+      apply(bornYearsAgo(25)),
+      apply(bornYearsAgo(25)),
+    ]);
+    assert.deepEqual(results.map(({ status }) => status).sort(), [201, 409]);
+    assert.equal(
+      await harness.collections.applications.countDocuments({
+        quoteId: new ObjectId(quote.body._id),
+      }),
+      1
+    );
+  });
+
+  it("files agent requests under the caller's own email", async () => {
+    const { status } = await server.request("POST", "/agents", {
+      token: await harness.tokenFor(customer),
+      body: { name: "Customer", email: admin.email, district: "Dhaka" },
+    });
+    assert.equal(status, 201);
+    assert.equal(
+      await harness.collections.agents.countDocuments({ email: admin.email }),
+      0
+    );
+
+    await harness.collections.agents.updateOne(
+      { email: customer.email },
+      {
+        $set: {
+          status: "approved",
+          approvedBy: admin.email,
+          statusHistory: [{ from: "pending", to: "approved" }],
+        },
+      }
+    );
+    const listed = await server.request("GET", "/agents");
+    const [agent] = listed.body.data;
+    assert.equal(agent.email, customer.email);
+    assert.equal(agent.statusHistory, undefined);
+    assert.equal(agent.approvedBy, undefined);
+    assert.equal(agent.requestedBy, undefined);
+  });
+
+  it("verifies certificates only with the code from their QR link", async () => {
+    const { insertedId: policyId } =
+      await harness.collections.policies.insertOne({
+        title: "Family Cover",
+        category: "life",
+      });
+    const { insertedId } = await harness.collections.applications.insertOne({
+      policyId,
+      userEmail: customer.email,
+      aname: "Rahim Uddin",
+      status: "paid",
+      applicationDate: new Date(),
+    });
+
+    const pdf = await server.request(
+      "GET",
+      `/applications/${insertedId}/certificate`,
+      { token: await harness.tokenFor(customer) }
+    );
+    assert.equal(pdf.status, 200);
+    const { policyNumber, certificateCode } =
+      await harness.collections.applications.findOne({ _id: insertedId });
+    assert.match(certificateCode, /^[0-9a-f]{32}$/);
+
+    const guessed = await server.request(
+      "GET",
+      `/certificates/verify/${policyNumber}`
+    );
+    assert.equal(guessed.status, 404);
+
+    const verified = await server.request(
+      "GET",
+      `/certificates/verify/${policyNumber}?code=${certificateCode}`
+    );
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.valid, true);
+    assert.equal(verified.body.policyTitle, "Family Cover");
+    assert.equal(verified.body.holderName, "R**** U****");
+  });
+
+  it("queues campaign mail and lets the cron finish a stalled send", async () => {
+    await harness.collections.newsletterSubscribers.insertMany([
+      { email: "reader1@lifenest.test", name: "Reader 1", status: "active" },
+      { email: "reader2@lifenest.test", name: "Reader 2", status: "active" },
+    ]);
+    const token = await harness.tokenFor(admin);
+    const created = await server.request("POST", "/campaigns", {
+      token,
+      body: { subject: "News", type: "custom", html: "<p>Hello</p>" },
+    });
+    assert.equal(created.status, 201);
+    const campaignId = new ObjectId(created.body._id);
+
+    // A send cut off after queueing leaves the campaign in "sending".
+    await harness.collections.campaigns.updateOne(
+      { _id: campaignId },
+      { $set: { status: "sending", sendStartedAt: new Date(0) } }
+    );
+    const resumed = await server.request(
+      "POST",
+      `/campaigns/${campaignId}/send`,
+      { token }
+    );
+    assert.equal(resumed.status, 202);
+    assert.equal(resumed.body.stats.queued, 2);
+
+    const cron = await server.request("GET", "/cron/campaigns", {
+      token: harness.config.cronSecret,
+    });
+    assert.equal(cron.status, 200);
+    const campaign = await harness.collections.campaigns.findOne({
+      _id: campaignId,
+    });
+    assert.equal(campaign.status, "sent");
+    assert.equal(campaign.stats.sent, 2);
+    assert.equal(
+      harness.mail.sent.filter((message) => message.subject === "News").length,
+      2
+    );
+  });
+
+  it("starts without API_URL and fails only newsletter links", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const bare = await createTestApp({ config: { apiUrl: undefined } });
+    const bareServer = await bare.listen();
+    try {
+      const subscribed = await bareServer.request("POST", "/subscribe", {
+        body: { name: "Reader", email: "reader@lifenest.test" },
+      });
+      assert.equal(subscribed.status, 500);
+      assert.equal(bare.mail.sent.length, 0);
+    } finally {
+      await bareServer.close();
+    }
+  });
+
+  it("resumes an unpaid first installment and replaces an expired one", async () => {
+    const { insertedId: policyId } =
+      await harness.collections.policies.insertOne({
+        title: "Monthly Cover",
+        category: "life",
+      });
+    const { insertedId: quoteId } = await harness.collections.quotes.insertOne({
+      input: { termYears: 1 },
+      installments: 12,
+    });
+    const { insertedId } = await harness.collections.applications.insertOne({
+      policyId,
+      quoteId,
+      userEmail: customer.email,
+      status: "approved",
+      premium: {
+        currency: "usd",
+        paymentFrequency: "monthly",
+        installmentAmountInCents: 1000,
+      },
+    });
+    const token = await harness.tokenFor(customer);
+    const createSchedule = () =>
+      server.request("POST", `/applications/${insertedId}/billing-schedule`, {
+        token,
+      });
+
+    const first = await createSchedule();
+    assert.equal(first.status, 201);
+    const resumed = await createSchedule();
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.scheduleId, first.body.scheduleId);
+    assert.equal(resumed.body.clientSecret, first.body.clientSecret);
+
+    const { stripeSubscriptionId } =
+      await harness.collections.billingSchedules.findOne({
+        _id: new ObjectId(first.body.scheduleId),
+      });
+    harness.stripe.subscriptionStatuses.set(
+      stripeSubscriptionId,
+      "incomplete_expired"
+    );
+    const replaced = await createSchedule();
+    assert.equal(replaced.status, 201);
+    assert.notEqual(replaced.body.scheduleId, first.body.scheduleId);
+    const expired = await harness.collections.billingSchedules.findOne({
+      _id: new ObjectId(first.body.scheduleId),
+    });
+    assert.equal(expired.status, "cancelled");
+  });
+
+  it("counts a reader once however the visitor id header changes", async () => {
+    const { insertedId } = await harness.collections.blogs.insertOne({
+      title: "Saving for retirement",
+      slug: "saving-for-retirement",
+      content: "Start early.",
+      authorEmail: admin.email,
+      status: "published",
+      publishDate: new Date(),
+      viewCount: 0,
+    });
+    for (const visitorId of ["first", "second", "third"]) {
+      const { status } = await server.request(
+        "GET",
+        "/blogs/public/saving-for-retirement",
+        { headers: { "x-visitor-id": visitorId } }
+      );
+      assert.equal(status, 200);
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const blog = await harness.collections.blogs.findOne({ _id: insertedId });
+    assert.equal(blog.viewCount, 1);
+  });
+
+  it("verifies Stripe webhook signatures and ignores replays", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const event = {
+      id: "evt_test_1",
+      type: "payment_intent.payment_failed",
+      data: { object: { id: "pi_test_1", metadata: {} } },
+    };
+    const { payload, signature } = harness.signWebhook(event);
+    const send = (stripeSignature) =>
+      server.request("POST", "/webhooks/stripe", {
+        body: payload,
+        headers: {
+          "content-type": "application/json",
+          "stripe-signature": stripeSignature,
+        },
+      });
+
+    assert.equal((await send("t=1,v1=forged")).status, 400);
+    const first = await send(signature);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, { received: true });
+    const replay = await send(signature);
+    assert.deepEqual(replay.body, { received: true, duplicate: true });
+  });
+});
@@ -0,0 +1,500 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { hasPermission } = require("../lib/permissions");
+const { createTestApp } = require("./support/harness");
+
+// Every route registered by createApp must appear in ROUTES below, so a new
+// route cannot ship without someone deciding who may call it. ALLOWED means
+// the request got past authentication and authorization; the handler may
+// still answer 400 or 404 for the fixture data.
+const ALLOWED = "allowed";
+
+const CALLERS = {
+  customer: {
+    email: "customer@lifenest.test",
+    name: "Customer",
+    role: "user",
+  },
+  agent: { email: "agent@lifenest.test", name: "Agent", role: "agent" },
+  admin: { email: "admin@lifenest.test", name: "Admin", role: "admin" },
+};
+const ROLES = Object.keys(CALLERS);
+
+const OTHER_CUSTOMER = "other@lifenest.test";
+const OTHER_AGENT = "otheragent@lifenest.test";
+
+const POLICY_ID = new ObjectId("650000000000000000000001");
+const APPLICATION_ID = new ObjectId("650000000000000000000002");
+const CLAIM_ID = new ObjectId("650000000000000000000003");
+const FILE_ID = new ObjectId("650000000000000000000004");
+const BLOG_ID = new ObjectId("650000000000000000000005");
+const COMMENT_ID = new ObjectId("650000000000000000000006");
+const SCHEDULE_ID = new ObjectId("650000000000000000000007");
+const AGENT_ID = new ObjectId("650000000000000000000008");
+const MISSING_ID = new ObjectId("65000000000000000000ffff");
+
+const publicRoute = (extra = {}) => ({
+  anonymous: ALLOWED,
+  cron: ALLOWED,
+  ...Object.fromEntries(ROLES.map((role) => [role, ALLOWED])),
+  ...extra,
+});
+
+const cronRoute = () => ({
+  anonymous: 401,
+  cron: ALLOWED,
+  ...Object.fromEntries(ROLES.map((role) => [role, 401])),
+});
+
+const only = (roles, extra = {}) => ({
+  anonymous: 401,
+  cron: 401,
+  ...roles,
+  ...extra,
+});
+
+const signedIn = (extra = {}) =>
+  only(Object.fromEntries(ROLES.map((role) => [role, ALLOWED])), extra);
+
+const permitted = (permission, extra = {}) =>
+  only(
+    Object.fromEntries(
+      ROLES.map((role) => [
+        role,
+        hasPermission(CALLERS[role], permission) ? ALLOWED : 403,
+      ])
+    ),
+    extra
+  );
+
+const ROUTES = {
+  "GET /": publicRoute(),
+
+  // Takes a Firebase ID token rather than a session token.
+  "POST /auth/session": only({ customer: 401, agent: 401, admin: 401 }),
+  "POST /auth/refresh": publicRoute(),
+  "POST /auth/logout": signedIn(),
+  "GET /permissions": signedIn(),
+
+  "POST /policies": permitted("policies:write"),
+  "GET /policies": publicRoute(),
+  "GET /policies/popular": publicRoute(),
+  "GET /policies/:id": publicRoute({ path: `/policies/${POLICY_ID}` }),
+  "POST /policies/:id/quote": signedIn({
+    path: `/policies/${POLICY_ID}/quote`,
+  }),
+  "PATCH /policies/:id": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}`,
+  }),
+  "POST /policies/:id/versions": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}/versions`,
+  }),
+  "GET /policies/:id/versions": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}/versions`,
+  }),
+  "GET /policies/:id/versions/diff": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}/versions/diff?from=1&to=2`,
+  }),
+  "GET /policies/:id/versions/:version": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}/versions/1`,
+  }),
+  "DELETE /policies/:id/versions/:version": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}/versions/2`,
+  }),
+  "POST /policy-versions/activate": permitted("policies:write"),
+  "DELETE /policies/:id": permitted("policies:write", {
+    path: `/policies/${POLICY_ID}`,
+  }),
+
+  "GET /users/role": permitted("users:manage", {
+    path: `/users/role?email=${OTHER_CUSTOMER}`,
+  }),
+  "GET /users": permitted("users:manage", {
+    path: `/users?email=${OTHER_CUSTOMER}`,
+  }),
+  "GET /users/:email": permitted("users:manage", {
+    path: `/users/${OTHER_CUSTOMER}`,
+  }),
+  // Each caller registers their own profile.
+  "POST /users": signedIn({
+    body: (caller) => ({ email: caller?.email ?? OTHER_CUSTOMER }),
+  }),
+  "PATCH /users/:email": permitted("users:manage", {
+    path: `/users/${OTHER_CUSTOMER}`,
+    body: { name: "Renamed" },
+  }),
+  "PUT /make-admin": permitted("users:manage"),
+  "PATCH /users/:email/role": permitted("users:manage", {
+    path: `/users/${OTHER_CUSTOMER}/role`,
+  }),
+
+  "GET /agents/all": permitted("agents:manage"),
+  "POST /agents": signedIn(),
+  "GET /agents": publicRoute(),
+  "GET /agents/leaderboard": permitted("agents:manage"),
+  "GET /agents/:email/stats": permitted("agents:manage", {
+    path: `/agents/${OTHER_AGENT}/stats`,
+  }),
+  "PATCH /agents/availability": permitted("applications:review"),
+  "PATCH /agents/:id/status": permitted("agents:manage", {
+    path: `/agents/${AGENT_ID}/status`,
+  }),
+  "DELETE /agents/:id": permitted("agents:manage", {
+    path: `/agents/${AGENT_ID}`,
+  }),
+
+  "GET /all": permitted("applications:read_all"),
+  "GET /applications/assigned/:agentEmail": permitted("applications:read_all", {
+    path: `/applications/assigned/${OTHER_AGENT}`,
+  }),
+  "PATCH /assign/:id": permitted("applications:assign", {
+    path: `/assign/${APPLICATION_ID}`,
+  }),
+  "PATCH /applications/assign/:id": permitted("applications:assign", {
+    path: `/applications/assign/${APPLICATION_ID}`,
+  }),
+  "PATCH /applications/reject/:id": permitted("applications:reject", {
+    path: `/applications/reject/${APPLICATION_ID}`,
+  }),
+  "POST /applications": signedIn(),
+  // Agents only see applications assigned to them.
+  "PATCH /applications/:id/status": only(
+    { customer: 403, agent: 404, admin: 403 },
+    {
+      path: `/applications/${APPLICATION_ID}/status`,
+      body: { status: "approved" },
+    }
+  ),
+  "GET /applications/:id/agent-suggestions": permitted("applications:assign", {
+    path: `/applications/${APPLICATION_ID}/agent-suggestions`,
+  }),
+  "POST /applications/:id/auto-assign": permitted("applications:assign", {
+    path: `/applications/${APPLICATION_ID}/auto-assign`,
+  }),
+  "POST /applications/reroute-stale": permitted("applications:assign"),
+  "GET /cron/reroute-stale": cronRoute(),
+  "GET /applications": permitted("applications:read_all", {
+    path: `/applications?email=${OTHER_CUSTOMER}`,
+  }),
+  "GET /applications/all": permitted("applications:read_all"),
+  "GET /applications/:id": permitted("applications:read_all", {
+    path: `/applications/${APPLICATION_ID}`,
+  }),
+  "DELETE /applications/:id": permitted("applications:delete", {
+    path: `/applications/${APPLICATION_ID}`,
+  }),
+  "GET /applications/:id/certificate": permitted("certificates:read_all", {
+    path: `/applications/${APPLICATION_ID}/certificate`,
+  }),
+  "GET /certificates/verify/:policyNumber": publicRoute({
+    path: "/certificates/verify/LN-0000",
+  }),
+
+  "POST /create-payment-intent": signedIn({
+    body: { applicationId: APPLICATION_ID.toString() },
+  }),
+  // Authenticated by the Stripe signature, not by a caller token.
+  "POST /webhooks/stripe": publicRoute(),
+  "POST /payments/save": signedIn(),
+  "GET /payments": signedIn(),
+  "GET /payments/all": permitted("payments:read_all"),
+  "POST /applications/:id/cancel": permitted("payments:refund", {
+    path: `/applications/${APPLICATION_ID}/cancel`,
+  }),
+  "POST /applications/:id/billing-schedule": signedIn({
+    path: `/applications/${APPLICATION_ID}/billing-schedule`,
+  }),
+  "GET /billing-schedules": signedIn(),
+  "GET /billing-schedules/:id": permitted("payments:read_all", {
+    path: `/billing-schedules/${SCHEDULE_ID}`,
+  }),
+  "POST /billing-schedules/lapse": permitted("billing:manage"),
+  "GET /cron/billing-lapse": cronRoute(),
+
+  // An agent reads their own commissions; other agents' need manage rights.
+  "GET /commissions": [
+    permitted("commissions:read"),
+    permitted("commissions:manage", {
+      path: `/commissions?agentEmail=${OTHER_AGENT}`,
+    }),
+  ],
+  "GET /commissions/summary": [
+    permitted("commissions:read"),
+    permitted("commissions:manage", {
+      path: `/commissions/summary?agentEmail=${OTHER_AGENT}`,
+    }),
+  ],
+  "POST /commission-payouts": permitted("commissions:manage"),
+  "GET /commission-payouts": permitted("commissions:manage"),
+  "GET /commission-payouts/:id/export": permitted("commissions:manage", {
+    path: `/commission-payouts/${MISSING_ID}/export`,
+  }),
+
+  "POST /blogs": permitted("blogs:write"),
+  "GET /blogs/public": publicRoute(),
+  "GET /blogs/public/most-read": publicRoute(),
+  "GET /blogs/public/:slug": publicRoute({ path: "/blogs/public/missing" }),
+  "GET /blogs": signedIn(),
+  // Unpublished blogs are hidden from everyone but the author and moderators.
+  "GET /blogs/:id": permitted("blogs:moderate", {
+    path: `/blogs/${BLOG_ID}`,
+    customer: 404,
+    agent: 404,
+  }),
+  "PATCH /blogs/:id": permitted("blogs:moderate", {
+    path: `/blogs/${BLOG_ID}`,
+    body: { title: "Edited title" },
+  }),
+  "PATCH /blogs/:id/status": permitted("blogs:moderate", {
+    path: `/blogs/${BLOG_ID}/status`,
+    body: { status: "published" },
+  }),
+  // Only the author may delete a blog, moderators included.
+  "DELETE /blogs/:id": only(
+    { customer: 403, agent: 403, admin: 403 },
+    { path: `/blogs/${BLOG_ID}` }
+  ),
+  "POST /blogs/:id/like": signedIn({ path: `/blogs/${BLOG_ID}/like` }),
+  "DELETE /blogs/:id/like": signedIn({ path: `/blogs/${BLOG_ID}/like` }),
+  "GET /blogs/:id/comments": publicRoute({
+    path: `/blogs/${BLOG_ID}/comments`,
+  }),
+  "POST /blogs/:id/comments": signedIn({
+    path: `/blogs/${BLOG_ID}/comments`,
+  }),
+  "GET /blogs/:id/comments/pending": permitted("blogs:moderate", {
+    path: `/blogs/${BLOG_ID}/comments/pending`,
+  }),
+  "PATCH /blog-comments/:id/status": permitted("blogs:moderate", {
+    path: `/blog-comments/${COMMENT_ID}/status`,
+    body: { status: "approved" },
+  }),
+  "DELETE /blog-comments/:id": permitted("blogs:moderate", {
+    path: `/blog-comments/${COMMENT_ID}`,
+  }),
+
+  "POST /claims": signedIn(),
+  "GET /claims": signedIn(),
+  "GET /claims/all": permitted("claims:read_all"),
+  // Agents only list the claims assigned to themselves.
+  "GET /claims/assigned/:agentEmail": [
+    permitted("claims:review", {
+      path: `/claims/assigned/${CALLERS.agent.email}`,
+    }),
+    only(
+      { customer: 403, agent: 403, admin: 403 },
+      { path: `/claims/assigned/${OTHER_AGENT}` }
+    ),
+  ],
+  "GET /claims/:id": permitted("claims:read_all", {
+    path: `/claims/${CLAIM_ID}`,
+  }),
+  "GET /claims/:id/documents/:fileId": permitted("claims:read_all", {
+    path: `/claims/${CLAIM_ID}/documents/${FILE_ID}`,
+  }),
+  "PATCH /claims/:id/review": only(
+    { customer: 403, agent: 404, admin: 403 },
+    { path: `/claims/${CLAIM_ID}/review`, body: { recommendation: "approve" } }
+  ),
+  "PATCH /claims/:id/assign": permitted("claims:decide", {
+    path: `/claims/${CLAIM_ID}/assign`,
+  }),
+  "PATCH /claims/:id/decision": permitted("claims:decide", {
+    path: `/claims/${CLAIM_ID}/decision`,
+  }),
+
+  "GET /admin-stats": permitted("stats:read"),
+  "GET /admin/policy-performance": permitted("stats:read"),
+  "GET /admin/analytics": permitted("stats:read"),
+  "GET /admin/analytics/funnel": permitted("stats:read"),
+  "GET /admin/analytics/cohorts": permitted("stats:read"),
+
+  "POST /subscribe": publicRoute(),
+  "GET /subscribe/confirm": publicRoute({ path: "/subscribe/confirm?token=x" }),
+  "GET /unsubscribe": publicRoute({ path: `/unsubscribe?id=${MISSING_ID}` }),
+  "POST /unsubscribe": publicRoute(),
+  "POST /campaigns": permitted("newsletter:manage"),
+  "GET /campaigns": permitted("newsletter:manage"),
+  "GET /campaigns/:id": permitted("newsletter:manage", {
+    path: `/campaigns/${MISSING_ID}`,
+  }),
+  "POST /campaigns/:id/send": permitted("newsletter:manage", {
+    path: `/campaigns/${MISSING_ID}/send`,
+  }),
+
+  "GET /cron/campaigns": cronRoute(),
+  "GET /cron/notifications": cronRoute(),
+  "GET /notifications": signedIn(),
+  "PATCH /notifications/read-all": signedIn(),
+  "PATCH /notifications/:id/read": signedIn({
+    path: `/notifications/${MISSING_ID}/read`,
+  }),
+  "GET /notifications/preferences": signedIn(),
+  "PUT /notifications/preferences": signedIn({ body: { email: {} } }),
+
+  "GET /events/stream": signedIn(),
+};
+
+const listRoutes = (stack, routes = []) => {
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method !== "_all") {
+          routes.push(`${method.toUpperCase()} ${layer.route.path}`);
+        }
+      }
+    } else if (layer.handle?.stack) {
+      listRoutes(layer.handle.stack, routes);
+    }
+  }
+  return routes;
+};
+
+const seed = async ({ collections }) => {
+  const now = new Date();
+  await collections.users.insertMany([
+    ...Object.values(CALLERS),
+    { email: OTHER_CUSTOMER, name: "Other", role: "user" },
+    { email: OTHER_AGENT, name: "Other Agent", role: "agent" },
+  ]);
+  await collections.agents.insertMany([
+    { email: CALLERS.agent.email, status: "approved" },
+    { _id: AGENT_ID, email: OTHER_AGENT, status: "approved" },
+  ]);
+  await collections.policies.insertOne({
+    _id: POLICY_ID,
+    title: "Term Life",
+    category: "life",
+    basePremiumRate: 2,
+    minAge: 18,
+    maxAge: 60,
+    version: 1,
+  });
+  await collections.applications.insertOne({
+    _id: APPLICATION_ID,
+    policyId: POLICY_ID,
+    userEmail: OTHER_CUSTOMER,
+    assignedAgent: OTHER_AGENT,
+    status: "under_review",
+    applicationDate: now,
+  });
+  await collections.claims.insertOne({
+    _id: CLAIM_ID,
+    applicationId: APPLICATION_ID,
+    userEmail: OTHER_CUSTOMER,
+    assignedAgent: OTHER_AGENT,
+    status: "submitted",
+    documents: [
+      { fileId: FILE_ID, filename: "report.pdf", contentType: "text/plain" },
+    ],
+    createdAt: now,
+  });
+  await collections.blogs.insertOne({
+    _id: BLOG_ID,
+    title: "Draft",
+    slug: "draft",
+    content: "Pending review",
+    authorEmail: OTHER_AGENT,
+    status: "submitted",
+    createdAt: now,
+  });
+  await collections.blogComments.insertOne({
+    _id: COMMENT_ID,
+    blogId: BLOG_ID,
+    authorEmail: OTHER_CUSTOMER,
+    content: "Nice",
+    status: "pending",
+    createdAt: now,
+  });
+  await collections.billingSchedules.insertOne({
+    _id: SCHEDULE_ID,
+    applicationId: APPLICATION_ID,
+    userEmail: OTHER_CUSTOMER,
+    status: "active",
+  });
+};
+
+describe("route authorization coverage", () => {
+  let harness;
+  let routes;
+
+  before(async () => {
+    harness = await createTestApp();
+    routes = listRoutes(harness.app.router.stack);
+  });
+
+  it("lists every registered route in the coverage table", () => {
+    assert.deepEqual(
+      routes.filter((route) => !(route in ROUTES)),
+      [],
+      "routes without an authorization expectation"
+    );
+    assert.deepEqual(
+      Object.keys(ROUTES).filter((route) => !routes.includes(route)),
+      [],
+      "expectations for routes that are not registered"
+    );
+  });
+
+  describe("answers each caller as expected", () => {
+    for (const [route, entry] of Object.entries(ROUTES)) {
+      const [method, routePath] = route.split(" ");
+
+      for (const expected of [].concat(entry)) {
+        const path = expected.path || routePath;
+
+        it(`${method} ${path}`, async (t) => {
+          t.mock.method(console, "error", () => {});
+          // A fresh app per route, so one caller's writes cannot change the
+          // answer another caller gets.
+          const fixture = await createTestApp();
+          await seed(fixture);
+          const tokens = { cron: fixture.config.cronSecret };
+          for (const [role, user] of Object.entries(CALLERS)) {
+            tokens[role] = await fixture.tokenFor(user);
+          }
+          const server = await fixture.listen();
+
+          try {
+            for (const caller of ["anonymous", "cron", ...ROLES]) {
+              const body =
+                typeof expected.body === "function"
+                  ? expected.body(CALLERS[caller])
+                  : expected.body;
+              const response = await fetch(`${server.url}${path}`, {
+                method,
+                redirect: "manual",
+                headers: {
+                  ...(tokens[caller] && {
+                    authorization: `Bearer ${tokens[caller]}`,
+                  }),
+                  "content-type": "application/json",
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+              });
+              const streaming = response.headers
+                .get("content-type")
+                ?.startsWith("text/event-stream");
+              const text = streaming ? "" : await response.text();
+              if (streaming) await response.body.cancel();
+
+              const message = `${caller} got ${response.status} ${text}`;
+              if (expected[caller] === ALLOWED) {
+                assert.ok(
+                  ![401, 403].includes(response.status),
+                  `${message}, expected to be let through`
+                );
+                assert.ok(response.status < 500, message);
+              } else {
+                assert.equal(response.status, expected[caller], message);
+              }
+            }
+          } finally {
+            await server.close();
+          }
+        });
+      }
+    }
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getCollections, prepareDatabase } = require("../lib/db");
+const { createMemoryDb } = require("./support/memoryDb");
+
+describe("prepareDatabase migrations", () => {
+  it("rewrites legacy application statuses to their canonical values", async () => {
+    const { db } = createMemoryDb();
+    const { applications } = getCollections(db);
+    await applications.insertMany([
+      { userEmail: "a@lifenest.test", status: "Assigned" },
+      { userEmail: "b@lifenest.test", status: "Under Review" },
+      { userEmail: "c@lifenest.test", status: "Rejected" },
+      { userEmail: "d@lifenest.test" },
+      { userEmail: "e@lifenest.test", status: "paid" },
+    ]);
+
+    await prepareDatabase(db);
+
+    const statuses = (await applications.find({}).toArray()).map(
+      (application) => application.status
+    );
+    assert.deepEqual(statuses, [
+      "assigned",
+      "under_review",
+      "rejected",
+      "pending",
+      "paid",
+    ]);
+  });
+
+  it("gives agents approved before the role sync the agent role", async () => {
+    const { db } = createMemoryDb();
+    const { agents, users } = getCollections(db);
+    await agents.insertMany([
+      { email: "old@lifenest.test", status: "approved" },
+      { email: "boss@lifenest.test", status: "approved" },
+      { email: "waiting@lifenest.test", status: "pending" },
+    ]);
+    await users.insertMany([
+      { email: "old@lifenest.test", role: "user" },
+      { email: "boss@lifenest.test", role: "admin" },
+      { email: "waiting@lifenest.test", role: "user" },
+    ]);
+
+    await prepareDatabase(db);
+
+    const roles = Object.fromEntries(
+      (await users.find({}).toArray()).map((user) => [user.email, user.role])
+    );
+    assert.deepEqual(roles, {
+      "old@lifenest.test": "agent",
+      "boss@lifenest.test": "admin",
+      "waiting@lifenest.test": "user",
+    });
+  });
+});
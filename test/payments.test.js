@@ -0,0 +1,210 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestApp } = require("./support/harness");
+
+const admin = { email: "admin@lifenest.test", name: "Admin", role: "admin" };
+const customer = {
+  email: "customer@lifenest.test",
+  name: "Customer",
+  role: "user",
+};
+const agentEmail = "agent@lifenest.test";
+
+describe("payment reconciliation, refunds and commissions", () => {
+  let harness;
+  let server;
+  let application;
+
+  const sendEvent = (event) => {
+    const { payload, signature } = harness.signWebhook(event);
+    return server.request("POST", "/webhooks/stripe", {
+      body: payload,
+      headers: {
+        "content-type": "application/json",
+        "stripe-signature": signature,
+      },
+    });
+  };
+
+  const snapshot = async () => ({
+    application: await harness.collections.applications.findOne({
+      _id: application._id,
+    }),
+    payments: await harness.collections.payments.find({}).toArray(),
+    commissions: await harness.collections.commissions.find({}).toArray(),
+  });
+
+  const succeeded = {
+    id: "evt_paid",
+    type: "payment_intent.succeeded",
+    data: {
+      object: {
+        id: "pi_paid",
+        amount_received: 50000,
+        currency: "usd",
+        metadata: {},
+      },
+    },
+  };
+
+  beforeEach(async () => {
+    harness = await createTestApp();
+    server = await harness.listen();
+    await harness.collections.users.insertMany([
+      admin,
+      customer,
+      { email: agentEmail, name: "Agent", role: "agent" },
+    ]);
+    const { insertedId: policyId } =
+      await harness.collections.policies.insertOne({
+        title: "Term Life",
+        category: "life",
+        commission: { type: "percentage", rate: 10, renewalRate: 2 },
+      });
+    application = {
+      policyId,
+      userEmail: customer.email,
+      assignedAgent: agentEmail,
+      status: "approved",
+      applicationDate: new Date(),
+      premium: {
+        currency: "usd",
+        paymentFrequency: "yearly",
+        annualPremiumInCents: 50000,
+        installmentAmountInCents: 50000,
+      },
+    };
+    const { insertedId } = await harness.collections.applications.insertOne(
+      application
+    );
+    application._id = insertedId;
+    succeeded.data.object.metadata.applicationId = insertedId.toString();
+  });
+
+  afterEach(() => server.close());
+
+  it("records the payment, activates the policy and books commission once", async () => {
+    const first = await sendEvent(succeeded);
+    assert.deepEqual(first.body, { received: true });
+
+    const after = await snapshot();
+    assert.equal(after.application.status, "active");
+    assert.equal(after.application.paymentStatus, "paid");
+    assert.equal(after.payments.length, 1);
+    assert.equal(after.payments[0].transactionId, "pi_paid");
+    assert.equal(after.payments[0].status, "success");
+    assert.equal(after.payments[0].amount, 500);
+    assert.equal(after.commissions.length, 1);
+    assert.equal(after.commissions[0].agentEmail, agentEmail);
+    assert.equal(after.commissions[0].amountInCents, 5000);
+
+    const replay = await sendEvent(succeeded);
+    assert.deepEqual(replay.body, { received: true, duplicate: true });
+    assert.deepEqual(await snapshot(), after);
+  });
+
+  it("applies a partial refund to the payment, application and commission", async () => {
+    await sendEvent(succeeded);
+    const refunded = {
+      id: "evt_refund",
+      type: "charge.refunded",
+      data: {
+        object: {
+          id: "ch_paid",
+          payment_intent: "pi_paid",
+          refunded: false,
+          amount_refunded: 25000,
+        },
+      },
+    };
+    assert.deepEqual((await sendEvent(refunded)).body, { received: true });
+
+    const after = await snapshot();
+    assert.equal(after.payments[0].status, "partially_refunded");
+    assert.equal(after.payments[0].refundedAmount, 250);
+    assert.equal(after.application.paymentStatus, "partially_refunded");
+    const clawbacks = after.commissions.filter(
+      (entry) => entry.kind === "clawback"
+    );
+    assert.equal(clawbacks.length, 1);
+    assert.equal(clawbacks[0].amountInCents, -2500);
+
+    const replay = await sendEvent(refunded);
+    assert.deepEqual(replay.body, { received: true, duplicate: true });
+    assert.deepEqual(await snapshot(), after);
+  });
+
+  it("cancels with a full refund and claws back the whole commission", async () => {
+    await sendEvent(succeeded);
+    const cancelled = await server.request(
+      "POST",
+      `/applications/${application._id}/cancel`,
+      {
+        token: await harness.tokenFor(admin),
+        body: { reason: "Changed mind", refundType: "full" },
+      }
+    );
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.refundedAmount, 500);
+
+    const refunds = harness.stripe.calls.filter(
+      (call) => call.method === "refunds.create"
+    );
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].params.payment_intent, "pi_paid");
+    assert.equal(refunds[0].params.amount, 50000);
+
+    const after = await snapshot();
+    assert.equal(after.application.status, "cancelled");
+    assert.equal(after.application.paymentStatus, "refunded");
+    assert.equal(after.application.cancellation.refundStatus, "completed");
+    assert.equal(after.payments[0].status, "refunded");
+    assert.equal(
+      after.commissions.reduce((sum, entry) => sum + entry.amountInCents, 0),
+      0
+    );
+  });
+
+  it("pays out pending commissions once and exports them", async () => {
+    await harness.collections.agents.insertOne({
+      email: agentEmail,
+      name: '=HYPERLINK("http://evil.test","Agent")',
+      status: "approved",
+    });
+    await sendEvent(succeeded);
+    const token = await harness.tokenFor(admin);
+
+    const payout = await server.request("POST", "/commission-payouts", {
+      token,
+      body: {},
+    });
+    assert.equal(payout.status, 201);
+    assert.equal(payout.body.totalInCents, 5000);
+    assert.deepEqual(
+      payout.body.lines.map(({ agentEmail: email, amountInCents }) => ({
+        email,
+        amountInCents,
+      })),
+      [{ email: agentEmail, amountInCents: 5000 }]
+    );
+    const [entry] = await harness.collections.commissions.find({}).toArray();
+    assert.equal(entry.status, "paid");
+
+    const again = await server.request("POST", "/commission-payouts", {
+      token,
+      body: {},
+    });
+    assert.equal(again.status, 409);
+
+    const csv = await server.request(
+      "GET",
+      `/commission-payouts/${payout.body._id}/export`,
+      { token }
+    );
+    assert.equal(csv.status, 200);
+    assert.equal(
+      csv.text.split("\n")[1],
+      `${agentEmail},"'=HYPERLINK(""http://evil.test"",""Agent"")",usd,50.00,1`
+    );
+  });
+});
@@ -0,0 +1,212 @@
+const jwt = require("jsonwebtoken");
+const Stripe = require("stripe");
+const { createApp } = require("../../app");
+const { getCollections, prepareDatabase } = require("../../lib/db");
+const { createMemoryDb } = require("./memoryDb");
+
+const TEST_CONFIG = {
+  jwtSecret: "test-jwt-secret",
+  stripeWebhookSecret: "whsec_test",
+  cronSecret: "test-cron-secret",
+  newsletterSecret: "test-newsletter-secret",
+  apiUrl: "http://api.lifenest.test",
+  clientUrl: "http://app.lifenest.test",
+};
+
+const createFakeAuth = () => {
+  const idTokens = new Map();
+  const claims = new Map();
+
+  return {
+    claims,
+    issueIdToken: (user) => {
+      const token = `firebase-${idTokens.size + 1}`;
+      idTokens.set(token, { uid: `uid-${user.email}`, ...user });
+      return token;
+    },
+    verifyIdToken: async (token) => {
+      if (!idTokens.has(token)) {
+        throw Object.assign(new Error("Invalid ID token"), {
+          code: "auth/argument-error",
+        });
+      }
+      return idTokens.get(token);
+    },
+    getUserByEmail: async (email) => ({
+      uid: `uid-${email}`,
+      email,
+      customClaims: claims.get(`uid-${email}`),
+    }),
+    setCustomUserClaims: async (uid, customClaims) => {
+      claims.set(uid, customClaims);
+    },
+  };
+};
+
+const createFakeStripe = () => {
+  const calls = [];
+  // Tests set a subscription's status here to simulate Stripe moving it on.
+  const subscriptionStatuses = new Map();
+  let nextId = 1;
+  const record =
+    (method, prefix, extra = () => ({})) =>
+    async (params) => {
+      calls.push({ method, params });
+      const id = `${prefix}_test_${nextId++}`;
+      return { id, ...params, ...extra(id) };
+    };
+
+  return {
+    calls,
+    subscriptionStatuses,
+    customers: { create: record("customers.create", "cus") },
+    products: { create: record("products.create", "prod") },
+    paymentIntents: {
+      create: record("paymentIntents.create", "pi", (id) => ({
+        client_secret: `${id}_secret`,
+      })),
+    },
+    subscriptions: {
+      create: record("subscriptions.create", "sub", (id) => ({
+        status: "incomplete",
+        latest_invoice: {
+          confirmation_secret: { client_secret: `${id}_secret` },
+        },
+      })),
+      retrieve: async (id) => {
+        calls.push({ method: "subscriptions.retrieve", params: { id } });
+        return {
+          id,
+          status: subscriptionStatuses.get(id) || "incomplete",
+          latest_invoice: {
+            confirmation_secret: { client_secret: `${id}_secret` },
+          },
+        };
+      },
+      cancel: record("subscriptions.cancel", "sub"),
+    },
+    refunds: { create: record("refunds.create", "re") },
+    invoicePayments: { list: async () => ({ data: [] }) },
+    webhooks: Stripe("sk_test_fake").webhooks,
+  };
+};
+
+const createFakeMailTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMail: async (message) => {
+      sent.push(message);
+      return { messageId: `<${sent.length}@lifenest.test>` };
+    },
+  };
+};
+
+// Builds the real app on an in-memory database with fake Firebase, Stripe
+// and mail dependencies, so routes run end to end without network access.
+const createTestApp = async ({ config = {} } = {}) => {
+  const { db, client } = createMemoryDb();
+  await prepareDatabase(db);
+
+  const auth = createFakeAuth();
+  const stripe = createFakeStripe();
+  const mailTransport = createFakeMailTransport();
+  const appConfig = { ...TEST_CONFIG, ...config };
+  const app = createApp({
+    db,
+    client,
+    auth,
+    stripe,
+    mailTransport,
+    config: appConfig,
+  });
+
+  const collections = getCollections(db);
+
+  // Signs an access token the way issueSession does, backed by a live session.
+  const tokenFor = async (user) => {
+    const { insertedId } = await collections.sessions.insertOne({
+      uid: `uid-${user.email}`,
+      email: user.email,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+    });
+    return jwt.sign(
+      {
+        uid: `uid-${user.email}`,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        sid: insertedId.toString(),
+      },
+      appConfig.jwtSecret,
+      { expiresIn: "5m" }
+    );
+  };
+
+  const signWebhook = (event) => {
+    const payload = JSON.stringify(event);
+    return {
+      payload,
+      signature: stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: appConfig.stripeWebhookSecret,
+      }),
+    };
+  };
+
+  const listen = () =>
+    new Promise((resolve) => {
+      const server = app.listen(0, "127.0.0.1", () => {
+        const url = `http://127.0.0.1:${server.address().port}`;
+        resolve({
+          url,
+          request: async (method, path, { token, body, headers } = {}) => {
+            const response = await fetch(`${url}${path}`, {
+              method,
+              headers: {
+                ...(token && { authorization: `Bearer ${token}` }),
+                ...(body !== undefined && {
+                  "content-type": "application/json",
+                }),
+                ...headers,
+              },
+              body:
+                body === undefined || typeof body === "string"
+                  ? body
+                  : JSON.stringify(body),
+            });
+            const text = await response.text();
+            let json;
+            try {
+              json = JSON.parse(text);
+            } catch {
+              json = undefined;
+            }
+            return { status: response.status, body: json, text };
+          },
+          close: () =>
+            new Promise((done) => {
+              server.closeAllConnections();
+              server.close(done);
+            }),
+        });
+      });
+    });
+
+  return {
+    app,
+    db,
+    collections,
+    auth,
+    stripe,
+    mail: mailTransport,
+    config: appConfig,
+    tokenFor,
+    signWebhook,
+    listen,
+  };
+};
+
+module.exports = { TEST_CONFIG, createTestApp };
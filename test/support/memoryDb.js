@@ -0,0 +1,317 @@
+const mingo = require("mingo");
+const { ObjectId } = require("mongodb");
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof ObjectId || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const duplicateKeyError = (name, index) => {
+  const err = new Error(
+    `E11000 duplicate key error collection: ${name} index: ${index}`
+  );
+  err.code = 11000;
+  return err;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const insertSeed = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        !(
+          value &&
+          typeof value === "object" &&
+          Object.keys(value).some((op) => op.startsWith("$"))
+        )
+    )
+  );
+
+const createCursor = (load) => {
+  let sort = null;
+  let skip = 0;
+  let limit = 0;
+  let projection = null;
+
+  const cursor = {
+    sort: (spec) => {
+      sort = spec;
+      return cursor;
+    },
+    skip: (count) => {
+      skip = count;
+      return cursor;
+    },
+    limit: (count) => {
+      limit = count;
+      return cursor;
+    },
+    project: (spec) => {
+      projection = spec;
+      return cursor;
+    },
+    toArray: async () => {
+      const result = mingo.find(await load(), {}, projection || undefined);
+      if (sort) result.sort(sort);
+      if (skip) result.skip(skip);
+      if (limit) result.limit(limit);
+      return clone(result.all());
+    },
+    [Symbol.asyncIterator]: async function* () {
+      yield* await cursor.toArray();
+    },
+  };
+  return cursor;
+};
+
+// A MongoDB stand-in backed by plain arrays. Queries, updates and
+// aggregation pipelines run through mingo; unique indexes are enforced so
+// idempotency guards behave as they do against a real server.
+const createMemoryDb = () => {
+  const stores = new Map();
+  const collections = new Map();
+
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, []);
+    return stores.get(name);
+  };
+
+  const collection = (name) => {
+    if (collections.has(name)) return collections.get(name);
+    const uniqueIndexes = [];
+
+    const matching = (filter = {}) => mingo.find(store(name), filter).all();
+
+    const checkUnique = (doc, ignore) => {
+      for (const { keys, partialFilterExpression, name: index } of [
+        { keys: ["_id"], name: "_id_" },
+        ...uniqueIndexes,
+      ]) {
+        if (
+          partialFilterExpression &&
+          !new mingo.Query(partialFilterExpression).test(doc)
+        ) {
+          continue;
+        }
+        const clash = store(name).find(
+          (other) =>
+            other !== ignore &&
+            (!partialFilterExpression ||
+              new mingo.Query(partialFilterExpression).test(other)) &&
+            keys.every(
+              (key) =>
+                JSON.stringify(getPath(other, key)) ===
+                JSON.stringify(getPath(doc, key))
+            )
+        );
+        if (clash) throw duplicateKeyError(name, index);
+      }
+    };
+
+    const insert = (doc) => {
+      const stored = clone({ _id: new ObjectId(), ...doc });
+      checkUnique(stored);
+      store(name).push(stored);
+      return stored;
+    };
+
+    const applyUpdate = (doc, update, options = {}) => {
+      const next = clone(doc);
+      if (Array.isArray(update)) {
+        const [result] = mingo.aggregate([next], update);
+        Object.keys(next).forEach((key) => delete next[key]);
+        Object.assign(next, result);
+      } else {
+        const { $setOnInsert, ...modifier } = update;
+        if (options.inserting && $setOnInsert) {
+          modifier.$set = { ...$setOnInsert, ...modifier.$set };
+        }
+        mingo.update(next, modifier, options.arrayFilters);
+      }
+      checkUnique(next, doc);
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, next);
+      return doc;
+    };
+
+    const upsert = (filter, update, options) => {
+      const doc = { _id: new ObjectId(), ...clone(insertSeed(filter)) };
+      applyUpdate(doc, update, { ...options, inserting: true });
+      checkUnique(doc);
+      store(name).push(doc);
+      return doc;
+    };
+
+    const firstMatch = (filter, options = {}) => {
+      const result = mingo.find(store(name), filter || {});
+      if (options.sort) result.sort(options.sort);
+      return result.next();
+    };
+
+    const api = {
+      collectionName: name,
+      insertOne: async (doc) => {
+        const stored = insert(doc);
+        if (!doc._id) doc._id = stored._id;
+        return { acknowledged: true, insertedId: stored._id };
+      },
+      insertMany: async (docs) => {
+        const insertedIds = {};
+        docs.forEach((doc, i) => {
+          insertedIds[i] = insert(doc)._id;
+        });
+        return {
+          acknowledged: true,
+          insertedCount: docs.length,
+          insertedIds,
+        };
+      },
+      findOne: async (filter, options = {}) => {
+        const doc = firstMatch(filter, options);
+        if (!doc) return null;
+        if (!options.projection) return clone(doc);
+        return clone(mingo.find([doc], {}, options.projection).next());
+      },
+      find: (filter, options = {}) => {
+        const cursor = createCursor(() => matching(filter));
+        if (options.projection) cursor.project(options.projection);
+        if (options.sort) cursor.sort(options.sort);
+        if (options.limit) cursor.limit(options.limit);
+        return cursor;
+      },
+      countDocuments: async (filter) => matching(filter).length,
+      estimatedDocumentCount: async () => store(name).length,
+      distinct: async (field, filter) => [
+        ...new Map(
+          matching(filter)
+            .flatMap((doc) => [].concat(getPath(doc, field) ?? []))
+            .map((value) => [JSON.stringify(value), value])
+        ).values(),
+      ],
+      updateOne: async (filter, update, options = {}) => {
+        const doc = firstMatch(filter, options);
+        if (doc) {
+          applyUpdate(doc, update, options);
+          return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+        }
+        if (!options.upsert) {
+          return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+        }
+        const inserted = upsert(filter, update, options);
+        return {
+          acknowledged: true,
+          matchedCount: 0,
+          modifiedCount: 0,
+          upsertedCount: 1,
+          upsertedId: inserted._id,
+        };
+      },
+      updateMany: async (filter, update, options = {}) => {
+        const docs = matching(filter);
+        docs.forEach((doc) => applyUpdate(doc, update, options));
+        return {
+          acknowledged: true,
+          matchedCount: docs.length,
+          modifiedCount: docs.length,
+        };
+      },
+      findOneAndUpdate: async (filter, update, options = {}) => {
+        let doc = firstMatch(filter, options);
+        const before = doc && clone(doc);
+        if (doc) {
+          applyUpdate(doc, update, options);
+        } else if (options.upsert) {
+          doc = upsert(filter, update, options);
+        } else {
+          return null;
+        }
+        const result = options.returnDocument === "after" ? doc : before;
+        if (!result || !options.projection) return result && clone(result);
+        return clone(mingo.find([result], {}, options.projection).next());
+      },
+      replaceOne: async (filter, replacement, options = {}) => {
+        const doc = firstMatch(filter, options);
+        if (!doc) {
+          if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+          const inserted = insert({ ...insertSeed(filter), ...replacement });
+          return { matchedCount: 0, upsertedId: inserted._id };
+        }
+        const next = { ...clone(replacement), _id: doc._id };
+        checkUnique(next, doc);
+        Object.keys(doc).forEach((key) => delete doc[key]);
+        Object.assign(doc, next);
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+      deleteOne: async (filter) => {
+        const doc = firstMatch(filter);
+        if (!doc) return { acknowledged: true, deletedCount: 0 };
+        store(name).splice(store(name).indexOf(doc), 1);
+        return { acknowledged: true, deletedCount: 1 };
+      },
+      deleteMany: async (filter) => {
+        const docs = new Set(matching(filter));
+        stores.set(
+          name,
+          store(name).filter((doc) => !docs.has(doc))
+        );
+        return { acknowledged: true, deletedCount: docs.size };
+      },
+      aggregate: (pipeline) =>
+        createCursor(() =>
+          mingo.aggregate(store(name), pipeline, {
+            collectionResolver: (from) => store(from),
+          })
+        ),
+      createIndex: async (keys, options = {}) => {
+        const indexName =
+          options.name ||
+          Object.entries(keys)
+            .map(([key, direction]) => `${key}_${direction}`)
+            .join("_");
+        if (options.unique) {
+          uniqueIndexes.push({
+            keys: Object.keys(keys),
+            partialFilterExpression: options.partialFilterExpression,
+            name: indexName,
+          });
+        }
+        return indexName;
+      },
+      drop: async () => {
+        stores.delete(name);
+        return true;
+      },
+    };
+    collections.set(name, api);
+    return api;
+  };
+
+  const db = {
+    databaseName: "lifenestTest",
+    collection,
+    command: async () => ({ ok: 1 }),
+    createCollection: async (name) => collection(name),
+  };
+
+  const client = {
+    db: () => db,
+    startSession: () => ({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {},
+    }),
+  };
+
+  return { db, client };
+};
+
+module.exports = { createMemoryDb };